@@ -12,11 +12,35 @@ class StreetJS {
             startDirection: 0, // degrees
             touchMultiplier: 2.5, // for touch rotation speed
             dragMultiplier: 1.5, // for mouse drag rotation speed
-            language: 'auto',
+            inertia: true, // keep spinning after a drag or swipe is released
+            inertiaFriction: 0.08, // share of the spin speed lost every frame (0-1), lower spins longer
+            language: 'auto', // 'auto' picks the browser's language among the registered locales
+            translations: null, // { [language]: { key: text } } overriding or adding to StreetJS.locales for this viewer
             showCompass: true, // buggy
             globalNorth: 0, // % of the image width that represents north for all panoramas, can be overridden by settings of individual panoramas
+            verticalOverscan: 1, // rendered image height relative to the viewer, values above 1 (e.g. 1.3) leave room to look up and down
+            enableZoom: true, // mouse wheel, pinch and +/- keys
+            minZoom: 1,
+            maxZoom: 4,
+            zoomStep: 1.25, // zoom factor per wheel notch or key press
+            renderer: 'css', // 'css' scrolls the image as a flat strip, 'webgl' projects equirectangular images onto a sphere
+            fov: 90, // horizontal field of view in degrees at zoom 1, webgl renderer only
+            urlSync: false, // 'hash' or 'query' keeps the current panorama and view in the page URL for sharing
+            urlSyncKey: null, // prefix of the URL parameters, defaults to the element id
+            minimap: null, // { image, width, height, north } floor plan with panoramas placed by their x/y (% of the plan)
+            levels: null, // { [level]: { name, startPanorama, minimapImage } } for panoramas that declare a level
+            showLevelSwitcher: true, // shown when panoramas span more than one level
+            autoRotate: null, // true or { delay, speed, direction, walk } rotates the view after `delay` seconds without input (see getAutoRotateOptions())
+            tour: null, // guided tour shown with the viewer, see setTour()
+            preload: false, // true or { concurrency, limit } fetches the images of the current panorama's waypoint targets in the background
             panoramas: {},
             showInfoPanel: true,
+            icons: null, // { [name]: svg markup or element } used before StreetJS.icons by this viewer only
+            theme: 'dark', // 'dark', 'light' or 'auto' (system colour scheme), see setTheme()
+            injectCSS: true, // false leaves all styling to your own stylesheet, see StreetJS.getStyleSheet()
+            on: null, // { eventName: handler } registered before the first panorama loads
+            debug: false, // log every configuration problem found by StreetJS.validateConfig()
+            editMode: false, // start with the waypoint authoring tools, see setEditMode()
             ...config
         };
 
@@ -25,79 +49,1368 @@ class StreetJS {
         this.element = document.getElementById(elementId);
         this.currentPanoId = null;
         this.backgroundPositionX = 0;
+        this.backgroundPositionY = 0; // vertical offset of the view inside the scaled image (pitch)
         this.isDragging = false;
-        this.startX = 0;
+        this.pointers = new Map(); // pointerId -> { x, y, startX, startY, captured } of pointers pressed on the viewer
         this.currentWaypoints = [];
+        this.currentHotspots = [];
+        this.openHotspot = null; // hotspot whose popup is shown
+        this.hotspotPopupEl = null;
         this.edgeIndicators = { left: null, right: null };
-        this.touchStartX = 0;
+        this.dragSamples = []; // recent { time, dx, dy } drag moves, for the release velocity
         this.isTransitioning = false;
         this.language = this.detectLanguage();
         this.loadedPanoramas = new Set();
+        this.preloadedImages = new Map(); // panoId -> Image kept alive so the browser keeps it cached, oldest first
+        this.preloadQueue = [];
+        this.preloadRequests = new Map(); // panoId -> Image being fetched
+        this.imageLoadToken = 0; // lets a late full-resolution image know it's still wanted
         this.targetBackgroundPositionX = 0;
+        this.targetBackgroundPositionY = 0;
         this.isAnimating = false;
+        this.rotationEasing = 0.15; // share of the remaining distance animateRotation() covers per frame
         this.isZoomTransitioning = false;
         this.lastNeedleRotation = 0;
+        this.infoPanelContent = null; // info panel markup apart from the direction, to tell when it needs rebuilding
+        this.zoom = 1;
+        this.imageAspect = null; // height / width of the current panorama image
+        this.renderMode = 'css'; // renderer actually in use, 'webgl' only when the context could be created
+        this.gl = null;
+        this.pinchStartDistance = 0;
+        this.pinchStartZoom = 1;
+        this.eventHandlers = {};
+        this.lastRotationKey = null;
+        this.destroyed = false;
+        this.navigationQueue = [];
+        this.urlWriteTimer = null;
+        this.announceTimer = null;
+        this.autoRotating = false;
+        this.autoRotateTimer = null;
+        this.autoRotateTurned = 0; // degrees turned since auto-rotation started or last walked
+        this.autoRotatePreviousPanoId = null;
+        this.tour = null;
+        this.tourIndex = -1; // step shown, -1 before the tour started
+        this.tourPlaying = false;
+        this.tourTimer = null;
+        this.tourStepToken = 0; // tells a step's arrival apart from a later step's
+        this.tourArrived = false;
+        this.tourDwellRemaining = 0; // ms left on the current step, kept while paused
+        this.tourDwellStarted = 0;
+        this.editMode = false;
+        this.editSelection = null; // { panoId, index } of the waypoint edited in the side form
+        this.editHistory = []; // panorama snapshots taken before each edit, for undoEdit()
+        this.editDrag = null;
+        this.editExport = null; // JSON shown in the side form after exporting
+        this.editorEl = null;
+        this.editExtentEl = null;
+        this.lastPointerDragged = false; // the click that follows a drag is not a click on the panorama
+        this.resizeObserver = null;
+        this.viewSize = { width: 0, height: 0 }; // container size the geometry was computed for
         
-        // Instance-specific IDs to support multiple viewers
-        this.instanceId = `street-js-${Math.floor(Math.random() * 1000000)}`;
+        // Handles of everything attached outside the viewer's own DOM, released by destroy()
+        this.timers = new Set();
+        this.animationFrames = new Set();
+        this.domListeners = [];
+        
+        this.cssInjected = false;
+        this.manifestUrl = null; // set by StreetJS.fromManifest() for manifests loaded from a URL
+        
+        if (this.config.on) {
+            Object.keys(this.config.on).forEach(event => this.on(event, this.config.on[event]));
+        }
+        
+        // Report configuration mistakes before they turn into silent misbehaviour
+        this.validation = StreetJS.validateConfig(this.config);
+        this.reportValidation(this.validation);
+
+        // The viewer owns its panoramas from here on, see addPanorama() and friends.
+        // Entries that aren't objects were reported above and are left out.
+        const panoramas = {};
+        Object.keys(this.config.panoramas || {}).forEach(panoId => {
+            const pano = this.config.panoramas[panoId];
+            if (pano && typeof pano === 'object') {
+                panoramas[panoId] = this.copyPanorama(pano);
+            }
+        });
+        this.config.panoramas = panoramas;
         
         // Initialize the component
         this.injectCSS();
         this.createStructure();
+        this.setTheme(this.config.theme);
         this.setupEventListeners();
         
+        // A shared link overrides the configured start view, the config itself stays as configured
+        let startPanorama = this.config.startPanorama;
+        let startDirection = this.config.startDirection || 0;
+        const urlState = this.config.urlSync ? this.readUrlState() : null;
+        if (urlState) {
+            startPanorama = urlState.panoId;
+            startDirection = urlState.heading + this.getNorthOffset(this.config.panoramas[urlState.panoId]);
+            if (urlState.zoom !== undefined) {
+                this.setZoom(urlState.zoom);
+            }
+        }
+        
         // Load initial panorama
-        if (this.config.startPanorama && this.config.panoramas[this.config.startPanorama]) {
-            this.loadPanorama(this.config.startPanorama, this.config.startDirection || 0);
+        if (startPanorama && this.config.panoramas[startPanorama]) {
+            this.loadPanorama(startPanorama, startDirection);
         } else if (Object.keys(this.config.panoramas).length > 0) {
-            this.loadPanorama(Object.keys(this.config.panoramas)[0], this.config.startDirection || 0);
+            this.loadPanorama(Object.keys(this.config.panoramas)[0], startDirection);
         } else {
             console.error('StreetJS: No panoramas defined in configuration');
-            this.showError('No panoramas defined');
+            this.showError(this.getText('noPanoramas'));
+        }
+
+        // Applied once the panorama is shown
+        if (urlState && urlState.pitch !== undefined) {
+            this.setPitch(urlState.pitch, { animate: false });
+        }
+
+        if (this.config.autoRotate) {
+            this.scheduleAutoRotate();
+        }
+
+        if (this.config.tour) {
+            this.setTour(this.config.tour);
+        }
+
+        if (this.config.editMode) {
+            this.setEditMode(true);
+        }
+    }
+
+    /*
+     * Events:
+     *   loadstart       - a panorama image started loading      { panoId, previousPanoId }
+     *   load            - a panorama image finished loading     { panoId, heading, panorama }
+     *   panoramachange  - the displayed panorama changed        { panoId, previousPanoId, heading }
+     *   rotate          - the view heading or pitch changed     { panoId, heading, pitch }
+     *   zoom            - the zoom level changed                { panoId, zoom }
+     *   resize          - the viewer was laid out for a new size { panoId, width, height }
+     *   waypointclick   - a waypoint or info panel button used  { panoId, heading, waypoint, source }
+     *   hotspotclick    - a hotspot popup was opened            { panoId, heading, hotspot }
+     *   hotspotclose    - the hotspot popup was closed          { panoId, hotspot }
+     *   transitionstart - navigation to another panorama began  { panoId, fromPanoId, transition }
+     *   transitionend   - navigation finished                   { panoId, heading }
+     *   fullresolution  - the full image replaced the preview   { panoId, url }
+     *   error           - a panorama image failed to load       { panoId, url, message }
+     *   autorotatestart - idle auto-rotation started            { panoId }
+     *   autorotatestop  - auto-rotation stopped                 { panoId }
+     *   tourstep        - a tour step is being shown            { index, total, step, panoId }
+     *   tourplay        - the tour started or resumed playing   { index, total }
+     *   tourpause       - the tour was paused (also by input)   { index, total }
+     *   tourend         - the tour finished or was closed       { index, total, completed }
+     *   languagechange  - setLanguage() switched the language   { language }
+     *   editmode        - edit mode was turned on or off        { enabled }
+     *   editchange      - the configuration was edited          { panoId, action, waypoint }
+     *   editexport      - the side form exported the config     { config }
+     *   destroy         - destroy() was called                  { panoId }
+     * Headings are in degrees clockwise from north (see getHeading()).
+     */
+    // Register or extend a dictionary for every viewer, e.g. StreetJS.addLocale('de', { loading: 'Panorama wird geladen...' }).
+    // Missing keys fall back to English. Plural texts are objects keyed by Intl.PluralRules category
+    // ({ one, few, many, other }), see StreetJS.locales.en for the keys.
+    static addLocale(code, dict) {
+        StreetJS.locales[code] = { ...(StreetJS.locales[code] || {}), ...dict };
+    }
+
+    // Make an icon available to every viewer by name, as SVG markup or an element (copied as it is now).
+    // Paths with fill="currentColor" take the colour of the marker or button showing them.
+    static registerIcon(name, svgOrElement) {
+        if (typeof name !== 'string' || !name || /[./]/.test(name)) {
+            // Names with a dot or slash would read as image URLs in `icon` fields
+            console.error(`StreetJS: Invalid icon name "${name}"`);
+            return false;
+        }
+        if (typeof svgOrElement !== 'string' && !(svgOrElement && svgOrElement.outerHTML)) {
+            console.error(`StreetJS: Icon "${name}" must be SVG markup or an element`);
+            return false;
+        }
+        StreetJS.icons[name] = typeof svgOrElement === 'string' ? svgOrElement : svgOrElement.outerHTML;
+        return true;
+    }
+
+    // Check a configuration without creating a viewer. Returns { valid, errors, warnings },
+    // every issue being { path, message } with path like 'panoramas.hall.waypoints[1].to'.
+    // Errors break the viewer (NaN geometry, dead links), warnings are likely mistakes.
+    static validateConfig(config) {
+        const errors = [];
+        const warnings = [];
+        const error = (path, message) => errors.push({ path, message });
+        const warn = (path, message) => warnings.push({ path, message });
+        const isNumber = (value) => typeof value === 'number' && isFinite(value);
+        const isText = (value) => typeof value === 'string' || (!!value && typeof value === 'object' && !Array.isArray(value));
+        const checkRange = (value, path, min, max, report = error) => {
+            if (value === undefined) return;
+            if (!isNumber(value)) {
+                error(path, 'must be a number');
+            } else if (value < min || value > max) {
+                report(path, `must be between ${min} and ${max}, got ${value}`);
+            }
+        };
+
+        if (!config || typeof config !== 'object') {
+            error('', 'configuration must be an object');
+            return { valid: false, errors, warnings };
+        }
+
+        const panoramas = config.panoramas;
+        if (!panoramas || typeof panoramas !== 'object' || Array.isArray(panoramas)) {
+            error('panoramas', 'must be an object of panoramas keyed by id');
+            return { valid: false, errors, warnings };
+        }
+        const panoIds = Object.keys(panoramas);
+        if (panoIds.length === 0) {
+            error('panoramas', 'no panoramas defined');
+        }
+
+        // Horizontal extents of waypoints and hotspots, in pixels of the original image
+        const checkExtent = (item, path, width) => {
+            if (!isNumber(item.fromPx)) error(`${path}.fromPx`, 'must be a number');
+            if (!isNumber(item.toPx)) error(`${path}.toPx`, 'must be a number');
+            if (isNumber(item.fromPx) && isNumber(item.toPx)) {
+                if (item.fromPx > item.toPx) {
+                    error(path, `fromPx (${item.fromPx}) is greater than toPx (${item.toPx})`);
+                }
+                if (isNumber(width) && (item.fromPx < 0 || item.toPx > width)) {
+                    warn(path, `extends outside the image (0-${width}px)`);
+                }
+            }
+            checkRange(item.height, `${path}.height`, 0, 100);
+            if (item.scale !== undefined && (!isNumber(item.scale) || item.scale <= 0)) {
+                error(`${path}.scale`, 'must be a positive number');
+            }
+        };
+
+        // Icon names must be registered by the time markers are shown, anything with a dot or slash is an image URL
+        const icons = config.icons && typeof config.icons === 'object' ? config.icons : {};
+        Object.keys(icons).forEach(name => {
+            if (typeof icons[name] !== 'string' && !(icons[name] && icons[name].outerHTML)) {
+                error(`icons.${name}`, 'must be SVG markup or an element');
+            }
+        });
+        const checkIcon = (icon, path) => {
+            if (icon === undefined) return;
+            if (typeof icon !== 'string') {
+                error(path, 'must be an icon name or an image URL');
+            } else if (!/[./]/.test(icon) && !icons[icon] && !StreetJS.icons[icon]) {
+                warn(path, `unknown icon "${icon}", the default is shown (see StreetJS.registerIcon())`);
+            }
+        };
+
+        panoIds.forEach(panoId => {
+            const pano = panoramas[panoId];
+            const path = `panoramas.${panoId}`;
+            if (!pano || typeof pano !== 'object') {
+                error(path, 'must be an object');
+                return;
+            }
+
+            const hasResolutions = Array.isArray(pano.resolutions) && pano.resolutions.some(resolution => resolution && resolution.url);
+            if (typeof pano.url !== 'string' && !hasResolutions) {
+                error(`${path}.url`, 'is required (or a non-empty resolutions list)');
+            }
+            if (pano.resolutions !== undefined) {
+                if (!Array.isArray(pano.resolutions)) {
+                    error(`${path}.resolutions`, 'must be an array of { url, height }');
+                } else {
+                    pano.resolutions.forEach((resolution, index) => {
+                        if (!resolution || typeof resolution.url !== 'string') error(`${path}.resolutions[${index}].url`, 'must be a string');
+                        if (!resolution || !isNumber(resolution.height) || resolution.height <= 0) error(`${path}.resolutions[${index}].height`, 'must be a positive number');
+                    });
+                }
+            }
+            if (pano.width === undefined) {
+                error(`${path}.width`, 'is required (width of the original image in pixels)');
+            } else if (!isNumber(pano.width) || pano.width <= 0) {
+                error(`${path}.width`, 'must be a positive number');
+            }
+            if (pano.name !== undefined && !isText(pano.name)) error(`${path}.name`, 'must be a string or per-language strings');
+            if (pano.description !== undefined && !isText(pano.description)) error(`${path}.description`, 'must be a string or per-language strings');
+            checkRange(pano.north, `${path}.north`, 0, 360, warn);
+            checkRange(pano.x, `${path}.x`, 0, 100, warn);
+            checkRange(pano.y, `${path}.y`, 0, 100, warn);
+
+            if (pano.waypoints !== undefined && !Array.isArray(pano.waypoints)) {
+                error(`${path}.waypoints`, 'must be an array');
+            } else {
+                (pano.waypoints || []).forEach((waypoint, index) => {
+                    const waypointPath = `${path}.waypoints[${index}]`;
+                    if (!waypoint || typeof waypoint !== 'object') {
+                        error(waypointPath, 'must be an object');
+                        return;
+                    }
+                    if (typeof waypoint.to !== 'string') {
+                        error(`${waypointPath}.to`, 'is required');
+                    } else if (!panoramas[waypoint.to]) {
+                        error(`${waypointPath}.to`, `unknown panorama "${waypoint.to}"`);
+                    } else if (waypoint.to === panoId) {
+                        warn(`${waypointPath}.to`, 'leads to the panorama it is on');
+                    }
+                    checkExtent(waypoint, waypointPath, pano.width);
+                    checkIcon(waypoint.icon, `${waypointPath}.icon`);
+                    checkRange(waypoint.direction, `${waypointPath}.direction`, 0, 100);
+                    if (waypoint.label !== undefined && !isText(waypoint.label)) error(`${waypointPath}.label`, 'must be a string or per-language strings');
+                });
+            }
+
+            if (pano.hotspots !== undefined && !Array.isArray(pano.hotspots)) {
+                error(`${path}.hotspots`, 'must be an array');
+            } else {
+                (pano.hotspots || []).forEach((hotspot, index) => {
+                    const hotspotPath = `${path}.hotspots[${index}]`;
+                    if (!hotspot || typeof hotspot !== 'object') {
+                        error(hotspotPath, 'must be an object');
+                        return;
+                    }
+                    checkExtent(hotspot, hotspotPath, pano.width);
+                    checkIcon(hotspot.icon, `${hotspotPath}.icon`);
+                });
+            }
+        });
+
+        // Viewer options
+        if (config.startPanorama !== undefined && config.startPanorama !== null && !panoramas[config.startPanorama]) {
+            error('startPanorama', `unknown panorama "${config.startPanorama}"`);
+        }
+        checkRange(config.globalNorth, 'globalNorth', 0, 360, warn);
+        checkRange(config.startDirection, 'startDirection', 0, 360, warn);
+        checkRange(config.fov, 'fov', 1, 170);
+        if (config.renderer !== undefined && config.renderer !== 'css' && config.renderer !== 'webgl') {
+            error('renderer', `must be 'css' or 'webgl', got "${config.renderer}"`);
+        }
+        if (isNumber(config.minZoom) && isNumber(config.maxZoom) && config.minZoom > config.maxZoom) {
+            error('minZoom', `is greater than maxZoom (${config.maxZoom})`);
+        }
+        Object.keys(config.levels || {}).forEach(level => {
+            const start = config.levels[level] && config.levels[level].startPanorama;
+            if (start !== undefined && !panoramas[start]) {
+                error(`levels.${level}.startPanorama`, `unknown panorama "${start}"`);
+            }
+        });
+        const tourSteps = Array.isArray(config.tour) ? config.tour : (config.tour && config.tour.steps) || [];
+        tourSteps.forEach((step, index) => {
+            if (step && step.panorama !== undefined && !panoramas[step.panorama]) {
+                error(`tour.steps[${index}].panorama`, `unknown panorama "${step.panorama}"`);
+            }
+        });
+
+        // Panoramas no chain of waypoints leads to from the start
+        const start = panoramas[config.startPanorama] ? config.startPanorama : panoIds[0];
+        if (start !== undefined) {
+            const reached = new Set([start]);
+            const pending = [start];
+            while (pending.length) {
+                const pano = panoramas[pending.pop()];
+                ((pano && Array.isArray(pano.waypoints) && pano.waypoints) || []).forEach(waypoint => {
+                    if (waypoint && panoramas[waypoint.to] && !reached.has(waypoint.to)) {
+                        reached.add(waypoint.to);
+                        pending.push(waypoint.to);
+                    }
+                });
+            }
+            panoIds.filter(panoId => !reached.has(panoId)).forEach(panoId => {
+                warn(`panoramas.${panoId}`, `not reachable through waypoints from "${start}"`);
+            });
+        }
+
+        return { valid: errors.length === 0, errors, warnings };
+    }
+
+    // Create a viewer from a tour manifest: the URL of a JSON file (relative image URLs resolve
+    // against it) or an already parsed object. config adds viewer options and wins over the manifest.
+    // Resolves with the viewer, rejects when the manifest can't be loaded or is from a newer version.
+    static fromManifest(elementId, urlOrObject, config = {}) {
+        const isUrl = typeof urlOrObject === 'string';
+        const baseUrl = isUrl ? new URL(urlOrObject, document.baseURI).href : null;
+        const load = isUrl
+            ? fetch(baseUrl).then(response => {
+                if (!response.ok) {
+                    throw new Error(`StreetJS: Failed to load manifest ${urlOrObject} (${response.status})`);
+                }
+                return response.json();
+            })
+            : Promise.resolve(urlOrObject);
+
+        return load.then(data => {
+            let manifest = StreetJS.migrateManifest(data);
+            if (baseUrl) {
+                manifest = StreetJS.mapManifestUrls(manifest, url => new URL(url, baseUrl).href);
+            }
+
+            const start = manifest.start || {};
+            const panoramas = manifest.panoramas || {};
+            const startPano = panoramas[start.panorama];
+            const north = startPano && startPano.north !== undefined ? startPano.north : (manifest.globalNorth || 0);
+            const manifestConfig = {
+                panoramas,
+                startPanorama: start.panorama || null,
+                startDirection: (start.heading || 0) + north // the constructor takes the image angle
+            };
+            ['globalNorth', 'levels', 'minimap', 'tour', 'icons'].forEach(key => {
+                if (manifest[key] !== undefined) manifestConfig[key] = manifest[key];
+            });
+
+            const viewer = new StreetJS(elementId, { ...manifestConfig, ...config });
+            viewer.manifestUrl = baseUrl;
+            if (start.zoom !== undefined) viewer.setZoom(start.zoom);
+            if (start.pitch !== undefined) viewer.setPitch(start.pitch, { animate: false });
+            return viewer;
+        });
+    }
+
+    // Bring a manifest of any supported version up to the current one
+    static migrateManifest(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('StreetJS: A manifest must be a JSON object');
         }
+        let manifest = data;
+        let version = manifest.version === undefined ? 1 : manifest.version;
+        if (version > StreetJS.manifestVersion) {
+            throw new Error(`StreetJS: Manifest version ${version} is newer than this viewer supports (${StreetJS.manifestVersion})`);
+        }
+        while (version < StreetJS.manifestVersion) {
+            const migrate = StreetJS.manifestMigrations[version];
+            if (!migrate) {
+                throw new Error(`StreetJS: Unsupported manifest version ${version}`);
+            }
+            manifest = migrate(manifest);
+            version = manifest.version;
+        }
+        return manifest;
+    }
+
+    // Copy of a manifest with fn applied to every file URL in it: panorama images, previews and
+    // resolutions, hotspot images, icon files and minimap plans
+    static mapManifestUrls(manifest, fn) {
+        const isFile = (icon) => typeof icon === 'string' && /[./]/.test(icon);
+        const mapUrl = (url) => (typeof url === 'string' ? fn(url) : url);
+        const mapped = { ...manifest };
+
+        mapped.panoramas = {};
+        Object.keys(manifest.panoramas || {}).forEach(panoId => {
+            const pano = { ...manifest.panoramas[panoId] };
+            if (pano.url !== undefined) pano.url = mapUrl(pano.url);
+            if (pano.previewUrl !== undefined) pano.previewUrl = mapUrl(pano.previewUrl);
+            if (Array.isArray(pano.resolutions)) {
+                pano.resolutions = pano.resolutions.map(resolution => ({ ...resolution, url: mapUrl(resolution.url) }));
+            }
+            if (Array.isArray(pano.waypoints)) {
+                pano.waypoints = pano.waypoints.map(waypoint => (isFile(waypoint.icon) ? { ...waypoint, icon: fn(waypoint.icon) } : { ...waypoint }));
+            }
+            if (Array.isArray(pano.hotspots)) {
+                pano.hotspots = pano.hotspots.map(hotspot => {
+                    const copy = { ...hotspot };
+                    if (copy.image !== undefined) copy.image = mapUrl(copy.image);
+                    if (isFile(copy.icon)) copy.icon = fn(copy.icon);
+                    return copy;
+                });
+            }
+            mapped.panoramas[panoId] = pano;
+        });
+
+        if (manifest.minimap && manifest.minimap.image) {
+            mapped.minimap = { ...manifest.minimap, image: mapUrl(manifest.minimap.image) };
+        }
+        if (manifest.levels) {
+            mapped.levels = {};
+            Object.keys(manifest.levels).forEach(level => {
+                const options = { ...manifest.levels[level] };
+                if (options.minimapImage !== undefined) options.minimapImage = mapUrl(options.minimapImage);
+                mapped.levels[level] = options;
+            });
+        }
+        return mapped;
+    }
+
+    reportValidation({ errors, warnings }) {
+        if (this.config.debug) {
+            errors.forEach(issue => console.error(`StreetJS: ${issue.path}: ${issue.message}`));
+            warnings.forEach(issue => console.warn(`StreetJS: ${issue.path}: ${issue.message}`));
+        } else if (errors.length > 0) {
+            console.error(`StreetJS: Invalid configuration (${errors.length} ${errors.length === 1 ? 'error' : 'errors'}), set debug: true for details`);
+        }
+    }
+
+    on(event, handler) {
+        if (this.destroyed || typeof handler !== 'function') return () => {};
+        if (!this.eventHandlers[event]) {
+            this.eventHandlers[event] = [];
+        }
+        this.eventHandlers[event].push(handler);
+        return () => this.off(event, handler);
+    }
+
+    once(event, handler) {
+        const wrapper = (detail) => {
+            this.off(event, wrapper);
+            handler(detail);
+        };
+        return this.on(event, wrapper);
+    }
+
+    off(event, handler) {
+        // Without arguments removes every handler, without a handler removes all handlers of the event
+        if (!event) {
+            this.eventHandlers = {};
+            return;
+        }
+        if (!this.eventHandlers[event]) return;
+        if (!handler) {
+            delete this.eventHandlers[event];
+            return;
+        }
+        this.eventHandlers[event] = this.eventHandlers[event].filter(h => h !== handler);
+    }
+
+    emit(event, payload = {}) {
+        const handlers = this.eventHandlers[event];
+        if (!handlers || handlers.length === 0) return;
+
+        const detail = { type: event, viewer: this, ...payload };
+        // Copy so handlers can unsubscribe while being called
+        handlers.slice().forEach(handler => {
+            try {
+                handler(detail);
+            } catch (err) {
+                // A broken handler must not break the viewer
+                console.error(`StreetJS: Error in "${event}" event handler`, err);
+            }
+        });
     }
 
+    // Language to use: the configured one, or the first of the browser's preferred
+    // languages with a dictionary (exact code first, then without the region)
     detectLanguage() {
         if (this.config.language !== 'auto') {
             return this.config.language;
         }
-        
-        const userLang = navigator.language || navigator.userLanguage;
-        return userLang.startsWith('ru') ? 'ru' : 'en';
+
+        const preferred = navigator.languages && navigator.languages.length
+            ? navigator.languages
+            : [navigator.language || navigator.userLanguage || 'en'];
+        for (const lang of preferred) {
+            const code = this.resolveLanguage(lang);
+            if (code) return code;
+        }
+        return 'en';
     }
 
-    getText(key) {
-        const texts = {
-            'instructions': {
-                'en': 'Rotate to see surroundings. Click waypoints to navigate.',
-                'ru': 'Вращайте для осмотра. Нажимайте на точки для перемещения камеры.'
-            },
-            'loading': {
-                'en': 'Loading panorama...',
-                'ru': 'Загрузка панорамы...'
-            },
-            'error': {
-                'en': 'Error loading panorama',
-                'ru': 'Ошибка загрузки панорамы'
+    // Registered dictionary code matching a language code ('de-AT' falls back to 'de'), null when none
+    resolveLanguage(lang) {
+        if (!lang) return null;
+        const codes = Object.keys(StreetJS.locales).concat(Object.keys(this.config.translations || {}));
+        const wanted = String(lang).toLowerCase();
+        return codes.find(code => code.toLowerCase() === wanted) ||
+            codes.find(code => code.toLowerCase() === wanted.split('-')[0]) ||
+            null;
+    }
+
+    // Switch the interface language at runtime, 'auto' detects it again
+    setLanguage(language) {
+        if (this.destroyed) return;
+        this.config.language = language;
+        this.language = this.detectLanguage();
+        this.refreshTexts();
+        this.emit('languagechange', { language: this.language });
+    }
+
+    // User-visible string in the current language, falling back to its base language and then English.
+    // {placeholders} are filled from params, plural entries are picked by params.count.
+    getText(key, params = {}) {
+        const codes = [this.language, String(this.language).split('-')[0], 'en'];
+        let code = null;
+        let value;
+        for (code of codes) {
+            const instanceDict = this.config.translations && this.config.translations[code];
+            const dict = StreetJS.locales[code];
+            if (instanceDict && instanceDict[key] !== undefined) {
+                value = instanceDict[key];
+            } else if (dict && dict[key] !== undefined) {
+                value = dict[key];
+            }
+            if (value !== undefined) break;
+        }
+        if (value === undefined) return key;
+
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            value = value[this.getPluralCategory(params.count, code)] || value.other;
+        }
+        if (typeof value === 'string') {
+            value = value.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+        }
+        return value;
+    }
+
+    getPluralCategory(count, code) {
+        try {
+            return new Intl.PluralRules(code).select(count);
+        } catch (err) {
+            return count === 1 ? 'one' : 'other';
+        }
+    }
+
+    // Configuration text (panorama names, descriptions, labels...) is a string
+    // or one per language: { en: 'Hall', de: 'Halle' }
+    localize(value) {
+        if (!value || typeof value !== 'object') return value;
+        const code = [this.language, String(this.language).split('-')[0], 'en'].find(lang => value[lang] !== undefined);
+        return code ? value[code] : value[Object.keys(value)[0]];
+    }
+
+    // Re-render everything that shows text after the language changed
+    refreshTexts() {
+        this.element.querySelector('.street-js-loading-text').textContent = this.getText('loading');
+        this.element.querySelector('.street-js-instructions-text').textContent = this.getText('instructions');
+        if (this.compassEl) {
+            this.compassEl.setAttribute('aria-label', this.getText('faceNorth'));
+            this.compassEl.querySelector('.street-js-compass-text').textContent = this.getText('north');
+        }
+        this.refreshMarkers();
+        this.renderMinimap();
+        this.renderLevelSwitcher();
+        if (this.tour) {
+            const display = this.tourEl.style.display;
+            this.renderTour();
+            this.tourEl.style.display = display;
+        }
+        if (this.editMode) {
+            this.renderEditor();
+        }
+        this.updateRotation();
+    }
+
+    // The panorama graph as a manifest for StreetJS.fromManifest(), without runtime fields.
+    // URLs below the location the manifest was loaded from are made relative to it again.
+    exportManifest() {
+        const panoramas = this.exportPanoramas();
+
+        const startPanorama = this.config.panoramas[this.config.startPanorama] ? this.config.startPanorama : Object.keys(panoramas)[0];
+        const heading = (this.config.startDirection || 0) - this.getNorthOffset(this.config.panoramas[startPanorama]);
+        let manifest = {
+            version: StreetJS.manifestVersion,
+            start: { panorama: startPanorama, heading: (heading % 360 + 360) % 360 },
+            globalNorth: this.config.globalNorth,
+            panoramas
+        };
+        if (this.config.levels) manifest.levels = this.config.levels;
+        if (this.config.minimap) manifest.minimap = this.config.minimap;
+        if (this.tour) manifest.tour = { steps: this.tour.steps, loop: this.tour.loop };
+        if (this.config.icons) manifest.icons = this.exportIcons();
+
+        if (this.manifestUrl) {
+            const base = this.manifestUrl.slice(0, this.manifestUrl.lastIndexOf('/') + 1);
+            manifest = StreetJS.mapManifestUrls(manifest, url => (url.startsWith(base) ? url.slice(base.length) : url));
+        }
+        // Plain JSON, nothing shared with the viewer
+        return JSON.parse(JSON.stringify(manifest));
+    }
+
+    // This viewer's config.icons as markup, icons given as elements included
+    exportIcons() {
+        const icons = {};
+        Object.keys(this.config.icons).forEach(name => {
+            icons[name] = this.getIcon(name);
+        });
+        return icons;
+    }
+
+    // The panoramas as plain JSON without runtime fields (scaledWidth...)
+    exportPanoramas() {
+        const panoramas = {};
+        Object.keys(this.config.panoramas).forEach(panoId => {
+            const { scaledWidth, scaledHeight, ...pano } = this.config.panoramas[panoId];
+            panoramas[panoId] = pano;
+        });
+        return JSON.parse(JSON.stringify(panoramas));
+    }
+
+    // Copy a panorama from the configuration so runtime fields (scaledWidth...) and
+    // later changes never leak into the caller's objects
+    copyPanorama(pano) {
+        const copy = { ...pano };
+        if (Array.isArray(pano.waypoints)) copy.waypoints = pano.waypoints.map(waypoint => ({ ...waypoint }));
+        if (Array.isArray(pano.hotspots)) copy.hotspots = pano.hotspots.map(hotspot => ({ ...hotspot }));
+        return copy;
+    }
+
+    // Add a panorama at runtime. Returns false if the id is taken.
+    addPanorama(panoId, pano) {
+        if (this.destroyed) return false;
+        if (this.config.panoramas[panoId]) {
+            console.error(`StreetJS: Panorama "${panoId}" already exists`);
+            return false;
+        }
+        this.config.panoramas[panoId] = this.copyPanorama(pano);
+        this.refreshGraph(panoId);
+        return true;
+    }
+
+    // Change fields of a panorama (shallow merge). A new image reloads it when it is being shown.
+    updatePanorama(panoId, changes) {
+        if (this.destroyed) return false;
+        const pano = this.config.panoramas[panoId];
+        if (!pano) {
+            console.error(`StreetJS: Unknown panorama "${panoId}"`);
+            return false;
+        }
+
+        const imageChanged = ['url', 'previewUrl', 'resolutions', 'width'].some(key => key in changes && changes[key] !== pano[key]);
+        const updated = this.copyPanorama({ ...pano, ...changes });
+        // Runtime geometry stays until the image is reloaded
+        updated.scaledWidth = pano.scaledWidth;
+        updated.scaledHeight = pano.scaledHeight;
+        this.config.panoramas[panoId] = updated;
+
+        if (imageChanged) {
+            this.cancelPreload(panoId);
+            this.loadedPanoramas.delete(panoId);
+            this.preloadedImages.delete(panoId);
+            if (panoId === this.currentPanoId) {
+                this.reloadCurrentPanorama();
+            }
+        }
+        this.refreshGraph(panoId);
+        return true;
+    }
+
+    // Remove a panorama and every waypoint leading to it. Standing in it moves the view to
+    // a panorama it linked to, else the start panorama, else the first one left.
+    removePanorama(panoId) {
+        if (this.destroyed) return false;
+        const pano = this.config.panoramas[panoId];
+        if (!pano) {
+            console.error(`StreetJS: Unknown panorama "${panoId}"`);
+            return false;
+        }
+
+        const wasCurrent = panoId === this.currentPanoId;
+        const heading = wasCurrent ? this.getHeading() : 0;
+        delete this.config.panoramas[panoId];
+        this.cancelPreload(panoId);
+        this.loadedPanoramas.delete(panoId);
+        this.preloadedImages.delete(panoId);
+        Object.keys(this.config.panoramas).forEach(otherId => {
+            const other = this.config.panoramas[otherId];
+            if (Array.isArray(other.waypoints)) {
+                other.waypoints = other.waypoints.filter(waypoint => waypoint.to !== panoId);
+            }
+        });
+
+        if (wasCurrent) {
+            const remaining = Object.keys(this.config.panoramas);
+            const neighbour = (pano.waypoints || []).map(waypoint => waypoint.to).find(to => this.config.panoramas[to]);
+            const next = neighbour ||
+                (this.config.panoramas[this.config.startPanorama] ? this.config.startPanorama : remaining[0]);
+            if (next) {
+                this.goTo(next, { heading, transition: 'fade' }).catch(() => {});
+            } else {
+                this.clearView();
+            }
+        }
+        this.refreshGraph(panoId);
+        return true;
+    }
+
+    // Add a waypoint to a panorama. Returns its index, -1 on failure.
+    addWaypoint(panoId, waypoint) {
+        if (this.destroyed) return -1;
+        const pano = this.config.panoramas[panoId];
+        if (!pano) {
+            console.error(`StreetJS: Unknown panorama "${panoId}"`);
+            return -1;
+        }
+        pano.waypoints = (pano.waypoints || []).concat({ ...waypoint });
+        this.refreshGraph(panoId);
+        return pano.waypoints.length - 1;
+    }
+
+    // Remove a waypoint by index, or every waypoint leading to the given panorama id
+    removeWaypoint(panoId, indexOrTarget) {
+        if (this.destroyed) return false;
+        const pano = this.config.panoramas[panoId];
+        if (!pano || !Array.isArray(pano.waypoints)) return false;
+
+        const before = pano.waypoints.length;
+        pano.waypoints = pano.waypoints.filter((waypoint, index) =>
+            typeof indexOrTarget === 'number' ? index !== indexOrTarget : waypoint.to !== indexOrTarget);
+        if (pano.waypoints.length === before) return false;
+        this.refreshGraph(panoId);
+        return true;
+    }
+
+    // Bring the live view up to date after the panorama graph changed
+    refreshGraph(changedPanoId) {
+        if (this.config.debug) {
+            this.reportValidation(StreetJS.validateConfig(this.config));
+        }
+        this.renderMinimap();
+        this.renderLevelSwitcher();
+
+        const current = this.config.panoramas[this.currentPanoId];
+        if (!current) return;
+        // Labels and floor indicators of the current waypoints come from their targets too
+        const linksToChanged = (current.waypoints || []).some(waypoint => waypoint.to === changedPanoId);
+        if (changedPanoId === this.currentPanoId || linksToChanged) {
+            this.refreshMarkers();
+        }
+        this.updateRotation();
+    }
+
+    // Load the current panorama's image again, keeping the heading
+    reloadCurrentPanorama() {
+        const panoId = this.currentPanoId;
+        this.enqueueNavigation(() => {
+            if (this.destroyed || this.currentPanoId !== panoId || !this.config.panoramas[panoId]) return;
+            const angle = this.getViewAngle();
+            this.beginTransition(panoId, 'none');
+            this.loadNewPanorama(panoId, angle, false);
+        });
+    }
+
+    // Nothing left to show
+    clearView() {
+        this.closeHotspotPopup();
+        this.currentPanoId = null;
+        this.waypointsEl.innerHTML = '';
+        this.currentWaypoints = [];
+        this.currentHotspots = [];
+        this.edgeIndicators = { left: null, right: null };
+        this.panoramaEl.style.backgroundImage = '';
+        if (this.infoPanelEl) {
+            this.infoPanelEl.style.display = 'none';
+        }
+        this.showError(this.getText('noPanoramas'));
+    }
+
+    // Rebuild the current panorama's waypoints, hotspots and edge indicators from its configuration
+    refreshMarkers() {
+        const pano = this.config.panoramas[this.currentPanoId];
+        if (!pano || !pano.scaledWidth) return;
+        this.closeHotspotPopup();
+        this.waypointsEl.innerHTML = '';
+        this.currentWaypoints = [];
+        this.currentHotspots = [];
+        this.createEdgeIndicators();
+        this.createWaypoints(pano);
+        this.createHotspots(pano);
+    }
+
+    // Authoring tools: clicking the panorama adds a waypoint under the pointer, waypoints can be
+    // dragged and their horizontal extent resized, and a side form edits the selected one.
+    // Edits change the configuration directly, see exportConfig() and undoEdit().
+    setEditMode(enabled) {
+        enabled = !!enabled;
+        if (this.destroyed || enabled === this.editMode) return;
+        this.editMode = enabled;
+        this.editSelection = null;
+        this.editDrag = null;
+        this.editExport = null;
+        this.element.classList.toggle('street-js-editing', enabled);
+        if (enabled) {
+            this.stopAutoRotate();
+            this.pauseTour();
+        } else if (this.config.autoRotate) {
+            this.scheduleAutoRotate();
+        }
+        this.renderEditor();
+        this.refreshMarkers();
+        this.updateRotation();
+        this.emit('editmode', { enabled });
+    }
+
+    // The edited configuration as plain JSON for new StreetJS(elementId, config)
+    exportConfig() {
+        const config = {
+            startPanorama: this.config.startPanorama,
+            startDirection: this.config.startDirection,
+            globalNorth: this.config.globalNorth,
+            panoramas: this.exportPanoramas()
+        };
+        if (this.config.levels) config.levels = this.config.levels;
+        if (this.config.minimap) config.minimap = this.config.minimap;
+        if (this.tour) config.tour = { steps: this.tour.steps, loop: this.tour.loop };
+        if (this.config.icons) config.icons = this.exportIcons();
+        // Plain JSON, nothing shared with the viewer
+        return JSON.parse(JSON.stringify(config));
+    }
+
+    // Revert the last edit, returns false when there is nothing to undo
+    undoEdit() {
+        if (this.destroyed) return false;
+        const entry = this.editHistory.pop();
+        if (!entry) return false;
+        // Geometry of loaded images stays valid
+        Object.keys(entry.panoramas).forEach(panoId => {
+            const current = this.config.panoramas[panoId];
+            if (current) {
+                entry.panoramas[panoId].scaledWidth = current.scaledWidth;
+                entry.panoramas[panoId].scaledHeight = current.scaledHeight;
+            }
+        });
+        this.config.panoramas = entry.panoramas;
+        this.editSelection = entry.selection;
+        this.refreshGraph(this.currentPanoId);
+        this.commitEdit('undo');
+        return true;
+    }
+
+    // Make the view center the north of the current panorama
+    setNorthToView() {
+        const pano = this.config.panoramas[this.currentPanoId];
+        if (this.destroyed || !pano || !pano.scaledWidth) return;
+        this.pushEditHistory();
+        pano.north = Math.round(this.getViewAngle() * 10) / 10;
+        this.refreshGraph(this.currentPanoId);
+        this.commitEdit('north');
+    }
+
+    // Inverse of locateInView(): the point of the scaled panorama image shown at viewer coordinates (x, y)
+    getImagePoint(x, y) {
+        const pano = this.config.panoramas[this.currentPanoId];
+        if (!pano || !pano.scaledWidth) return null;
+        const viewWidth = this.element.clientWidth;
+        const viewHeight = this.element.clientHeight;
+
+        let px = this.backgroundPositionX + x;
+        let py = this.backgroundPositionY + y;
+        if (this.renderMode === 'webgl') {
+            // View ray through the pixel with the camera pitch applied, see locateInSphereView()
+            const fullTurn = Math.PI * 2;
+            const pitch = this.getPitch() * Math.PI / 180;
+            const tanHalfFov = Math.tan((viewWidth / pano.scaledWidth) * Math.PI);
+            const dx = (x - viewWidth / 2) / (viewWidth / 2) * tanHalfFov;
+            const cameraY = (viewHeight / 2 - y) / (viewHeight / 2) * tanHalfFov * viewHeight / viewWidth;
+            const dy = cameraY * Math.cos(pitch) + Math.sin(pitch);
+            const dz = Math.cos(pitch) - cameraY * Math.sin(pitch);
+            const yaw = ((this.backgroundPositionX + viewWidth / 2) / pano.scaledWidth) * fullTurn;
+            px = ((Math.atan2(dx, dz) + yaw) / fullTurn) * pano.scaledWidth;
+            py = pano.scaledHeight / 2 - (Math.atan2(dy, Math.hypot(dx, dz)) / fullTurn) * pano.scaledWidth;
+        }
+        return { px: (px % pano.scaledWidth + pano.scaledWidth) % pano.scaledWidth, py };
+    }
+
+    // Point under a pointer event in original image pixels, with its height in % of the image
+    getEditPoint(e) {
+        const pano = this.config.panoramas[this.currentPanoId];
+        const rect = this.element.getBoundingClientRect();
+        const point = this.getImagePoint(e.clientX - rect.left, e.clientY - rect.top);
+        if (!point) return null;
+        // Undo the scaleRatio applied in createWaypoints()
+        const scaleRatio = pano.scaledWidth / pano.width;
+        return {
+            px: point.px / scaleRatio,
+            height: Math.min(100, Math.max(0, (point.py / pano.scaledHeight) * 100))
+        };
+    }
+
+    // Waypoint selected in edit mode, null if none on the current panorama
+    getEditWaypoint() {
+        const selection = this.editSelection;
+        const pano = selection && selection.panoId === this.currentPanoId ? this.config.panoramas[selection.panoId] : null;
+        return pano && pano.waypoints ? pano.waypoints[selection.index] || null : null;
+    }
+
+    selectEditWaypoint(index) {
+        this.editSelection = index >= 0 ? { panoId: this.currentPanoId, index } : null;
+        const waypoint = this.getEditWaypoint();
+        this.currentWaypoints.forEach(marker => {
+            marker.element.classList.toggle('selected', marker.source === waypoint);
+        });
+        this.renderEditor();
+    }
+
+    // New waypoint centered on a point from getEditPoint(), leading to a panorama not linked yet
+    addEditWaypoint(point) {
+        const panoId = this.currentPanoId;
+        const pano = this.config.panoramas[panoId];
+        const linked = (pano.waypoints || []).map(waypoint => waypoint.to);
+        const others = Object.keys(this.config.panoramas).filter(id => id !== panoId);
+        const center = Math.round(point.px);
+        const halfWidth = Math.max(1, Math.round(pano.width / 200));
+
+        this.pushEditHistory();
+        const index = this.addWaypoint(panoId, {
+            to: others.find(id => !linked.includes(id)) || others[0] || '',
+            fromPx: center - halfWidth,
+            toPx: center + halfWidth,
+            height: Math.round(point.height * 10) / 10
+        });
+        this.selectEditWaypoint(index);
+        this.commitEdit('add');
+    }
+
+    // Change fields of the selected waypoint, undefined removes a field
+    updateEditWaypoint(changes) {
+        const waypoint = this.getEditWaypoint();
+        if (!waypoint) return;
+        this.pushEditHistory();
+        Object.keys(changes).forEach(key => {
+            if (changes[key] === undefined) {
+                delete waypoint[key];
+            } else {
+                waypoint[key] = changes[key];
+            }
+        });
+        this.refreshGraph(this.currentPanoId);
+        this.commitEdit('update');
+    }
+
+    removeEditWaypoint() {
+        if (!this.getEditWaypoint()) return;
+        this.pushEditHistory();
+        const { index } = this.editSelection;
+        this.editSelection = null;
+        this.removeWaypoint(this.currentPanoId, index);
+        this.commitEdit('remove');
+    }
+
+    // mode is 'move' for the whole waypoint, 'from' or 'to' for an end of its extent
+    startEditDrag(e, waypoint, mode) {
+        const point = this.getEditPoint(e);
+        if (!point) return;
+        this.selectEditWaypoint(this.config.panoramas[this.currentPanoId].waypoints.indexOf(waypoint));
+        this.editDrag = {
+            pointerId: e.pointerId,
+            mode,
+            waypoint,
+            start: point,
+            original: {
+                fromPx: waypoint.fromPx,
+                toPx: waypoint.toPx,
+                height: waypoint.height !== undefined ? waypoint.height : 50
             },
-            'north': {
-                'en': 'N',
-                'ru': 'С'
+            snapshot: this.exportPanoramas(),
+            moved: false
+        };
+        try {
+            e.currentTarget.setPointerCapture(e.pointerId);
+        } catch (err) {
+            // The pointer is already gone
+        }
+    }
+
+    updateEditDrag(e) {
+        const drag = this.editDrag;
+        const pano = this.config.panoramas[this.currentPanoId];
+        const point = pano ? this.getEditPoint(e) : null;
+        if (!point) return;
+
+        // The short way round, so crossing the image seam doesn't jump
+        const width = pano.width;
+        const dx = ((point.px - drag.start.px + width / 2) % width + width) % width - width / 2;
+        const { fromPx, toPx, height } = drag.original;
+        const waypoint = drag.waypoint;
+        if (drag.mode === 'move') {
+            // Keep the center inside the image
+            const center = (fromPx + toPx) / 2 + dx;
+            const shift = center < 0 ? width : (center >= width ? -width : 0);
+            waypoint.fromPx = Math.round(fromPx + dx + shift);
+            waypoint.toPx = Math.round(toPx + dx + shift);
+            waypoint.height = Math.round(Math.min(100, Math.max(0, height + point.height - drag.start.height)) * 10) / 10;
+        } else if (drag.mode === 'from') {
+            waypoint.fromPx = Math.round(Math.min(fromPx + dx, toPx - 1));
+        } else {
+            waypoint.toPx = Math.round(Math.max(toPx + dx, fromPx + 1));
+        }
+        drag.moved = true;
+
+        // Move the marker without rebuilding it under the pointer
+        const marker = this.currentWaypoints.find(({ source }) => source === waypoint);
+        if (marker) {
+            const scaleRatio = pano.scaledWidth / pano.width;
+            marker.data.fromPx = waypoint.fromPx * scaleRatio;
+            marker.data.toPx = waypoint.toPx * scaleRatio;
+            marker.data.height = waypoint.height !== undefined ? waypoint.height : 50;
+        }
+        this.updateWaypoints();
+    }
+
+    endEditDrag() {
+        const drag = this.editDrag;
+        this.editDrag = null;
+        if (!drag.moved) return;
+        this.pushEditHistory(drag.snapshot);
+        this.refreshGraph(this.currentPanoId);
+        this.commitEdit(drag.mode === 'move' ? 'move' : 'resize');
+    }
+
+    // Edit mode shortcuts: Ctrl/Cmd+Z undoes, Delete removes the selected waypoint, Escape deselects
+    handleEditKey(e) {
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+            e.preventDefault();
+            this.undoEdit();
+            return true;
+        }
+        if ((e.key === 'Delete' || e.key === 'Backspace') && this.getEditWaypoint()) {
+            e.preventDefault();
+            this.removeEditWaypoint();
+            return true;
+        }
+        if (e.key === 'Escape' && this.editSelection) {
+            this.selectEditWaypoint(-1);
+            return true;
+        }
+        return false;
+    }
+
+    // Remember the panoramas before an edit, for undoEdit()
+    pushEditHistory(snapshot = this.exportPanoramas()) {
+        this.editHistory.push({ panoramas: snapshot, selection: this.editSelection });
+        if (this.editHistory.length > 50) {
+            this.editHistory.shift();
+        }
+    }
+
+    commitEdit(action) {
+        this.editExport = null;
+        this.renderEditor();
+        this.emit('editchange', { panoId: this.currentPanoId, action, waypoint: this.getEditWaypoint() });
+    }
+
+    renderEditor() {
+        if (!this.editMode) {
+            if (this.editorEl) {
+                this.editorEl.remove();
+                this.editExtentEl.remove();
             }
+            this.editorEl = null;
+            this.editExtentEl = null;
+            return;
+        }
+
+        if (!this.editorEl) {
+            this.editorEl = document.createElement('div');
+            this.editorEl.className = 'street-js-editor';
+            // Working in the form neither moves the panorama nor triggers viewer shortcuts
+            ['pointerdown', 'wheel', 'keydown', 'click'].forEach(type => {
+                this.editorEl.addEventListener(type, (e) => e.stopPropagation());
+            });
+            this.element.appendChild(this.editorEl);
+
+            // Bar under the selected waypoint showing its extent, resized by its end handles
+            this.editExtentEl = document.createElement('div');
+            this.editExtentEl.className = 'street-js-edit-extent';
+            ['from', 'to'].forEach(mode => {
+                const handle = document.createElement('div');
+                handle.className = `street-js-edit-handle ${mode}`;
+                handle.addEventListener('pointerdown', (e) => {
+                    e.stopPropagation();
+                    const waypoint = this.getEditWaypoint();
+                    if (waypoint) this.startEditDrag(e, waypoint, mode);
+                });
+                this.editExtentEl.appendChild(handle);
+            });
+            this.element.appendChild(this.editExtentEl);
+        }
+
+        const editor = this.editorEl;
+        const pano = this.config.panoramas[this.currentPanoId];
+        editor.innerHTML = '';
+        const addElement = (parent, tag, className, text) => {
+            const el = document.createElement(tag);
+            if (className) el.className = className;
+            if (text !== undefined) el.textContent = text;
+            parent.appendChild(el);
+            return el;
         };
-        
-        return texts[key][this.language] || texts[key]['en'];
+        const addButton = (parent, text, action) => {
+            const button = addElement(parent, 'button', 'street-js-editor-btn', text);
+            button.type = 'button';
+            button.addEventListener('click', action);
+            return button;
+        };
+
+        addElement(editor, 'div', 'street-js-editor-title',
+            this.getText('editTitle', { name: (pano && this.localize(pano.name)) || this.currentPanoId || '' }));
+        addElement(editor, 'div', 'street-js-editor-hint', this.getText('editHint'));
+
+        const actions = addElement(editor, 'div', 'street-js-editor-actions');
+        addButton(actions, this.getText('editNorth'), () => this.setNorthToView());
+        addButton(actions, this.getText('editUndo'), () => this.undoEdit()).disabled = !this.editHistory.length;
+        addButton(actions, this.getText('editExport'), () => {
+            const config = this.exportConfig();
+            this.editExport = JSON.stringify(config, null, 2);
+            this.renderEditor();
+            this.emit('editexport', { config });
+        });
+        addButton(actions, this.getText('editDone'), () => this.setEditMode(false));
+
+        const waypoint = this.getEditWaypoint();
+        if (waypoint) {
+            const form = addElement(editor, 'div', 'street-js-editor-form');
+            const addField = (labelKey, tag, value, onChange) => {
+                const label = addElement(form, 'label', null, this.getText(labelKey));
+                const input = addElement(label, tag);
+                if (tag === 'input') input.type = 'text';
+                input.addEventListener('change', () => onChange(input.value));
+                // Options have to exist before the value is set on a select
+                return { input, setValue: () => { input.value = value; } };
+            };
+            const addOptions = (select, options) => options.forEach(([value, text]) => {
+                const option = addElement(select, 'option', null, text);
+                option.value = value;
+            });
+            const toNumber = (value) => (value.trim() === '' || isNaN(Number(value)) ? undefined : Number(value));
+
+            const to = addField('editTo', 'select', waypoint.to, value => this.updateEditWaypoint({ to: value }));
+            const targets = Object.keys(this.config.panoramas).filter(id => id !== this.currentPanoId);
+            if (!this.config.panoramas[waypoint.to]) targets.unshift(waypoint.to);
+            addOptions(to.input, targets.map(id => [id, (this.config.panoramas[id] && this.localize(this.config.panoramas[id].name)) || id]));
+            to.setValue();
+
+            // Per-language labels can't be edited as one text, the field then adds a plain one
+            const label = addField('editLabel', 'input', typeof waypoint.label === 'string' ? waypoint.label : '',
+                value => this.updateEditWaypoint({ label: value.trim() || undefined }));
+            label.input.placeholder = this.localize(waypoint.label) || '';
+            label.setValue();
+
+            const icon = addField('editIcon', 'select', waypoint.icon || '', value => this.updateEditWaypoint({ icon: value || undefined }));
+            const icons = Object.keys({ ...StreetJS.icons, ...this.config.icons }).filter(name => !name.startsWith('edge'));
+            if (waypoint.icon && !icons.includes(waypoint.icon)) icons.push(waypoint.icon);
+            addOptions(icon.input, [['', this.getText('editDefaultIcon')]].concat(icons.map(name => [name, name])));
+            icon.setValue();
+
+            const direction = addField('editDirection', 'input', waypoint.direction !== undefined ? waypoint.direction : '',
+                value => this.updateEditWaypoint({ direction: toNumber(value) }));
+            direction.input.type = 'number';
+            direction.input.min = '0';
+            direction.input.max = '100';
+            direction.input.step = '0.1';
+            direction.setValue();
+
+            const scale = addField('editScale', 'input', waypoint.scale !== undefined ? waypoint.scale : '',
+                value => this.updateEditWaypoint({ scale: toNumber(value) }));
+            scale.input.type = 'number';
+            scale.input.min = '0.1';
+            scale.input.max = '10';
+            scale.input.step = '0.1';
+            scale.input.placeholder = '1';
+            scale.setValue();
+
+            addButton(form, this.getText('editDelete'), () => this.removeEditWaypoint()).classList.add('danger');
+        }
+
+        if (this.editExport) {
+            const output = addElement(editor, 'textarea', 'street-js-editor-export');
+            output.readOnly = true;
+            output.value = this.editExport;
+            output.addEventListener('focus', () => output.select());
+        }
+        this.updateEditExtent();
+    }
+
+    // Keep the extent bar under the selected waypoint
+    updateEditExtent() {
+        if (!this.editExtentEl) return;
+        const waypoint = this.getEditWaypoint();
+        const marker = waypoint && this.currentWaypoints.find(({ source }) => source === waypoint);
+        const y = marker ? this.getWaypointPositionY(marker.data) : 0;
+        const center = marker ? (marker.data.fromPx + marker.data.toPx) / 2 : 0;
+        const location = marker ? this.locateInView(center, y) : null;
+        if (!location || !location.visible) {
+            this.editExtentEl.style.display = 'none';
+            return;
+        }
+
+        // Ends that the sphere can't show fall back to strip distances
+        const halfWidth = (marker.data.toPx - marker.data.fromPx) / 2;
+        const start = this.locateInView(center - halfWidth, y);
+        const end = this.locateInView(center + halfWidth, y);
+        const left = start.visible && start.x <= location.x ? start.x : location.x - halfWidth;
+        const right = end.visible && end.x >= location.x ? end.x : location.x + halfWidth;
+        this.editExtentEl.style.display = '';
+        this.editExtentEl.style.left = `${left}px`;
+        this.editExtentEl.style.top = `${location.y}px`;
+        this.editExtentEl.style.width = `${Math.max(0, right - left)}px`;
     }
 
+    // Add the stylesheet unless config.injectCSS is false. Every viewer in a document shares one
+    // <style> element, counted so the last destroy() removes it.
     injectCSS() {
-        // Create a unique style element for this instance
-        const styleId = `${this.instanceId}-style`;
-        
-        // Check if style already exists
-        if (!document.getElementById(styleId)) {
-            const style = document.createElement('style');
-            style.id = styleId;
-            style.textContent = `
+        if (!this.config.injectCSS) return;
+        let style = document.getElementById('street-js-style');
+        if (!style) {
+            style = document.createElement('style');
+            style.id = 'street-js-style';
+            style.textContent = StreetJS.getStyleSheet();
+            document.head.appendChild(style);
+        }
+        style.dataset.viewers = String(Number(style.dataset.viewers || 0) + 1);
+        this.cssInjected = true;
+    }
+
+    removeCSS() {
+        if (!this.cssInjected) return;
+        this.cssInjected = false;
+        const style = document.getElementById('street-js-style');
+        if (!style) return;
+        const viewers = Number(style.dataset.viewers || 1) - 1;
+        if (viewers > 0) {
+            style.dataset.viewers = String(viewers);
+        } else {
+            style.remove();
+        }
+    }
+
+    // 'dark', 'light' or 'auto' (follows the system colour scheme), see the custom properties in getStyleSheet()
+    setTheme(theme) {
+        if (this.destroyed) return;
+        ['dark', 'light', 'auto'].forEach(name => {
+            this.element.classList.toggle(`street-js-theme-${name}`, name === theme);
+        });
+        this.config.theme = theme;
+    }
+
+    // The viewer's stylesheet, e.g. to serve it as a file when a Content Security Policy
+    // forbids inline styles (together with injectCSS: false)
+    static getStyleSheet() {
+        const lightTheme = `
+                    --street-js-accent: #e53935;
+                    --street-js-background: #e8e8e8;
+                    --street-js-text: #1d1d1f;
+                    --street-js-text-muted: rgba(0, 0, 0, 0.6);
+                    --street-js-link: #0b66c3;
+                    --street-js-panel-bg: rgba(255, 255, 255, 0.9);
+                    --street-js-control-bg: rgba(255, 255, 255, 0.75);
+                    --street-js-tooltip-bg: rgba(255, 255, 255, 0.95);
+                    --street-js-overlay-bg: rgba(240, 240, 240, 0.85);
+                    --street-js-border: rgba(0, 0, 0, 0.12);
+                    --street-js-hover: rgba(0, 0, 0, 0.06);
+                `;
+
+        return `
+                /* Theme defaults. :where() keeps them at zero specificity, so a page rule setting
+                   these custom properties on the viewer element always wins */
+                :where(.street-js-container) {
+                    --street-js-accent: #ff4c4c;
+                    --street-js-background: #111;
+                    --street-js-text: #fff;
+                    --street-js-text-muted: rgba(255, 255, 255, 0.7);
+                    --street-js-link: #8ec5ff;
+                    --street-js-panel-bg: rgba(24, 24, 24, 0.85);
+                    --street-js-control-bg: rgba(33, 33, 33, 0.6);
+                    --street-js-tooltip-bg: rgba(33, 33, 33, 0.85);
+                    --street-js-overlay-bg: rgba(17, 17, 17, 0.85);
+                    --street-js-border: rgba(255, 255, 255, 0.15);
+                    --street-js-hover: rgba(255, 255, 255, 0.1);
+                    --street-js-waypoint-size: 50px;
+                    --street-js-waypoint-icon-size: 26px;
+                    --street-js-waypoint-bg: rgba(255, 255, 255, 0.15);
+                    --street-js-waypoint-color: rgba(255, 255, 255, 0.9); /* icons drawn with currentColor */
+                    --street-js-radius: 10px;
+                    --street-js-radius-small: 6px;
+                    --street-js-blur: 4px;
+                    /* --street-js-font is unset, so the viewer uses the page font */
+                }
+                
+                :where(.street-js-container.street-js-theme-light) {${lightTheme}}
+                
+                @media (prefers-color-scheme: light) {
+                    :where(.street-js-container.street-js-theme-auto) {${lightTheme}}
+                }
+                
                 .street-js-container {
                     width: 100%;
                     height: 100%;
@@ -105,13 +1418,51 @@ class StreetJS {
                     overflow: hidden;
                     cursor: grab;
                     user-select: none;
-                    background-color: #111;
+                    background-color: var(--street-js-background);
+                    font-family: var(--street-js-font); /* inherits the page font when unset */
+                    /* Vertical swipes scroll the page, horizontal ones (and pinches) are ours */
+                    touch-action: pan-y;
+                }
+                
+                /* Unless there is room to look up and down */
+                .street-js-container.street-js-can-pitch {
+                    touch-action: none;
                 }
                 
                 .street-js-container:active {
                     cursor: grabbing;
                 }
                 
+                .street-js-container:focus-visible {
+                    outline: 2px solid rgba(255, 255, 255, 0.8);
+                    outline-offset: -2px;
+                }
+                
+                .street-js-waypoint:focus-visible,
+                .street-js-edge-indicator:focus-visible,
+                .street-js-compass:focus-visible,
+                .street-js-level-btn:focus-visible,
+                .street-js-minimap-marker:focus-visible,
+                .street-js-tour-btn:focus-visible,
+                .street-js-popup-close:focus-visible {
+                    outline: 2px solid #fff;
+                    outline-offset: 2px;
+                    box-shadow: 0 0 0 4px rgba(0, 0, 0, 0.5);
+                }
+                
+                /* Read by screen readers only */
+                .street-js-live {
+                    position: absolute;
+                    width: 1px;
+                    height: 1px;
+                    margin: -1px;
+                    padding: 0;
+                    overflow: hidden;
+                    clip: rect(0, 0, 0, 0);
+                    white-space: nowrap;
+                    border: 0;
+                }
+                
                 .street-js-panorama {
                     width: 100%;
                     height: 100%;
@@ -121,7 +1472,17 @@ class StreetJS {
                     top: 0;
                     left: 0;
                     will-change: background-position, transform;
-                    transition: opacity 0.6s cubic-bezier(0.23, 1, 0.32, 1);
+                    transition: opacity 0.6s cubic-bezier(0.23, 1, 0.32, 1), filter 0.4s ease-out;
+                }
+                
+                .street-js-canvas {
+                    display: block;
+                    width: 100%;
+                    height: 100%;
+                }
+                
+                .street-js-panorama.preview {
+                    filter: blur(8px);
                 }
                 
                 .street-js-panorama.zoom-transition {
@@ -151,17 +1512,17 @@ class StreetJS {
                     transform: translate(-50%, -50%); /* Center the waypoint */
                     cursor: pointer;
                     pointer-events: all;
-                    width: 50px;
-                    height: 50px;
-                    background-color: rgba(255, 255, 255, 0.15);
-                    backdrop-filter: blur(4px);
-                    -webkit-backdrop-filter: blur(4px);
+                    width: var(--street-js-waypoint-size);
+                    height: var(--street-js-waypoint-size);
+                    background-color: var(--street-js-waypoint-bg);
+                    backdrop-filter: blur(var(--street-js-blur));
+                    -webkit-backdrop-filter: blur(var(--street-js-blur));
                     border-radius: 50%;
                     display: flex;
                     align-items: center;
                     justify-content: center;
-                    color: white;
-                    font-size: 26px;
+                    color: var(--street-js-waypoint-color);
+                    font-size: var(--street-js-waypoint-icon-size);
                     border: 1px solid rgba(255, 255, 255, 0.25);
                     /* Split transitions to avoid animating position changes */
                     transition: background-color 0.3s cubic-bezier(0.23, 1, 0.32, 1),
@@ -171,13 +1532,16 @@ class StreetJS {
                                 transform 0.3s cubic-bezier(0.23, 1, 0.32, 1);
                     opacity: 0;
                     box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
+                    padding: 0;
+                    font-family: inherit;
                 }
                 
-                .street-js-waypoint svg {
-                    width: 26px;
-                    height: 26px;
-                    fill: rgba(255, 255, 255, 0.9);
-                    transition: fill 0.3s ease;
+                .street-js-waypoint svg,
+                .street-js-waypoint img {
+                    width: var(--street-js-waypoint-icon-size);
+                    height: var(--street-js-waypoint-icon-size);
+                    fill: currentColor;
+                    object-fit: contain;
                 }
                 
                 .street-js-waypoint:hover {
@@ -198,10 +1562,10 @@ class StreetJS {
                     bottom: 115%;
                     left: 50%;
                     transform: translateX(-50%);
-                    background-color: rgba(33, 33, 33, 0.85);
-                    color: white;
+                    background-color: var(--street-js-tooltip-bg);
+                    color: var(--street-js-text);
                     padding: 6px 10px;
-                    border-radius: 4px;
+                    border-radius: var(--street-js-radius-small);
                     font-size: 12px;
                     font-weight: 400;
                     letter-spacing: 0.3px;
@@ -221,9 +1585,10 @@ class StreetJS {
                     margin-left: -5px;
                     border-width: 5px;
                     border-style: solid;
-                    border-color: rgba(33, 33, 33, 0.85) transparent transparent transparent;
+                    border-color: var(--street-js-tooltip-bg) transparent transparent transparent;
                 }
                 
+                .street-js-waypoint:focus-visible .street-js-tooltip,
                 .street-js-waypoint:hover .street-js-tooltip {
                     opacity: 1;
                     visibility: visible;
@@ -236,9 +1601,9 @@ class StreetJS {
                     transform: translateY(-50%);
                     width: 36px;
                     height: 36px;
-                    background-color: rgba(255, 255, 255, 0.15);
-                    backdrop-filter: blur(4px);
-                    -webkit-backdrop-filter: blur(4px);
+                    background-color: var(--street-js-waypoint-bg);
+                    backdrop-filter: blur(var(--street-js-blur));
+                    -webkit-backdrop-filter: blur(var(--street-js-blur));
                     border-radius: 50%;
                     display: flex;
                     align-items: center;
@@ -249,8 +1614,10 @@ class StreetJS {
                     transition: all 0.3s cubic-bezier(0.23, 1, 0.32, 1);
                     border: 1px solid rgba(255, 255, 255, 0.25);
                     box-shadow: 0 2px 6px rgba(0, 0, 0, 0.15);
-                    color: rgba(255, 255, 255, 0.9);
+                    color: var(--street-js-waypoint-color);
                     font-size: 14px;
+                    padding: 0;
+                    font-family: inherit;
                 }
                 
                 .street-js-edge-indicator:hover {
@@ -286,12 +1653,10 @@ class StreetJS {
                     opacity: 1;
                 }
                 
-                .street-js-edge-indicator.left::after {
-                    content: "◄";
-                }
-                
-                .street-js-edge-indicator.right::after {
-                    content: "►";
+                .street-js-edge-indicator svg,
+                .street-js-edge-indicator img {
+                    width: 16px;
+                    height: 16px;
                 }
                 
                 .street-js-edge-indicator .street-js-tooltip {
@@ -305,19 +1670,341 @@ class StreetJS {
                     bottom: 125%;
                 }
                 
-                .street-js-edge-indicator:hover .street-js-tooltip {
-                    transform: translate(-50%, -5px);
+                .street-js-edge-indicator:focus-visible .street-js-tooltip,
+                .street-js-edge-indicator:hover .street-js-tooltip {
+                    transform: translate(-50%, -5px);
+                }
+                
+                .street-js-edge-indicator .street-js-tooltip-count {
+                    font-weight: 600;
+                    color: var(--street-js-text);
+                    margin-bottom: 3px;
+                }
+                
+                .street-js-edge-indicator .street-js-tooltip-list {
+                    font-size: 11px;
+                    opacity: 0.9;
+                }
+                
+                .street-js-edge-indicator.level-change {
+                    border-color: rgba(255, 196, 76, 0.6);
+                }
+                
+                .street-js-tooltip-level {
+                    color: rgba(255, 196, 76, 0.95);
+                    font-weight: 600;
+                }
+                
+                .street-js-levels {
+                    position: absolute;
+                    top: 72px;
+                    right: 15px;
+                    flex-direction: column;
+                    gap: 4px;
+                    z-index: 5;
+                }
+                
+                .street-js-level-btn {
+                    min-width: 45px;
+                    height: 32px;
+                    padding: 0 8px;
+                    border-radius: var(--street-js-radius-small);
+                    border: 1px solid var(--street-js-border);
+                    background-color: var(--street-js-control-bg);
+                    backdrop-filter: blur(var(--street-js-blur));
+                    -webkit-backdrop-filter: blur(var(--street-js-blur));
+                    color: var(--street-js-text);
+                    font-family: inherit;
+                    font-size: 13px;
+                    font-weight: 600;
+                    cursor: pointer;
+                    transition: background-color 0.2s, border-color 0.2s;
+                }
+                
+                .street-js-level-btn:hover {
+                    border-color: var(--street-js-text-muted);
+                }
+                
+                .street-js-level-btn.current {
+                    background-color: var(--street-js-text);
+                    color: var(--street-js-background);
+                }
+                
+                .street-js-tour {
+                    position: absolute;
+                    top: 15px;
+                    left: 50%;
+                    transform: translateX(-50%);
+                    width: max-content;
+                    max-width: min(420px, calc(100% - 150px));
+                    background: var(--street-js-panel-bg);
+                    backdrop-filter: blur(var(--street-js-blur));
+                    -webkit-backdrop-filter: blur(var(--street-js-blur));
+                    color: var(--street-js-text);
+                    border-radius: var(--street-js-radius);
+                    box-shadow: 0 4px 16px rgba(0, 0, 0, 0.25);
+                    padding: 10px 12px;
+                    font-size: 13px;
+                    line-height: 1.45;
+                    z-index: 11;
+                    cursor: auto;
+                }
+                
+                .street-js-tour-caption {
+                    font-size: 15px;
+                    font-weight: 600;
+                    margin-bottom: 2px;
+                }
+                
+                .street-js-tour-text {
+                    opacity: 0.9;
+                    margin-bottom: 6px;
+                }
+                
+                .street-js-tour-controls {
+                    display: flex;
+                    align-items: center;
+                    gap: 6px;
+                }
+                
+                .street-js-tour-btn {
+                    width: 28px;
+                    height: 28px;
+                    border-radius: 50%;
+                    border: 1px solid var(--street-js-border);
+                    background: var(--street-js-hover);
+                    color: var(--street-js-text);
+                    font-size: 14px;
+                    line-height: 1;
+                    cursor: pointer;
+                    padding: 0;
+                }
+                
+                .street-js-tour-btn:hover:not(:disabled) {
+                    background: var(--street-js-border);
+                }
+                
+                .street-js-tour-btn:disabled {
+                    opacity: 0.35;
+                    cursor: default;
+                }
+                
+                .street-js-tour-close {
+                    border: none;
+                    background: none;
+                    font-size: 18px;
+                }
+                
+                .street-js-tour-progress {
+                    flex: 1;
+                    min-width: 60px;
+                    height: 4px;
+                    border-radius: 2px;
+                    background: var(--street-js-border);
+                    overflow: hidden;
+                }
+                
+                .street-js-tour-progress-bar {
+                    height: 100%;
+                    width: 0;
+                    background: var(--street-js-accent);
+                    transition: width 0.3s;
+                }
+                
+                .street-js-tour-count {
+                    font-size: 12px;
+                    opacity: 0.8;
+                    font-variant-numeric: tabular-nums;
+                }
+                
+                .street-js-editing .street-js-panorama {
+                    cursor: crosshair;
+                }
+                
+                .street-js-editing .street-js-waypoint {
+                    cursor: move;
+                    touch-action: none;
+                }
+                
+                .street-js-waypoint.selected {
+                    outline: 2px dashed #ffd54f;
+                    outline-offset: 3px;
+                }
+                
+                .street-js-edit-extent {
+                    position: absolute;
+                    height: 4px;
+                    margin-top: 34px;
+                    border-radius: 2px;
+                    background: rgba(255, 213, 79, 0.85);
+                    pointer-events: none;
+                    z-index: 3;
+                }
+                
+                .street-js-edit-handle {
+                    position: absolute;
+                    top: 50%;
+                    width: 14px;
+                    height: 14px;
+                    margin: -9px 0 0 -9px;
+                    border-radius: 50%;
+                    border: 2px solid #222;
+                    background: #ffd54f;
+                    cursor: ew-resize;
+                    pointer-events: auto;
+                    touch-action: none;
+                }
+                
+                .street-js-edit-handle.to {
+                    left: 100%;
+                }
+                
+                .street-js-editor {
+                    position: absolute;
+                    top: 15px;
+                    right: 75px;
+                    width: 240px;
+                    max-height: calc(100% - 30px);
+                    overflow-y: auto;
+                    box-sizing: border-box;
+                    background: var(--street-js-panel-bg);
+                    color: var(--street-js-text);
+                    border-radius: var(--street-js-radius);
+                    box-shadow: 0 4px 16px rgba(0, 0, 0, 0.25);
+                    padding: 12px;
+                    font-size: 13px;
+                    line-height: 1.4;
+                    z-index: 31;
+                    cursor: auto;
+                }
+                
+                .street-js-editor-title {
+                    font-size: 15px;
+                    font-weight: 600;
+                    margin-bottom: 4px;
+                }
+                
+                .street-js-editor-hint {
+                    opacity: 0.75;
+                    margin-bottom: 10px;
+                }
+                
+                .street-js-editor-actions {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 6px;
+                    margin-bottom: 10px;
+                }
+                
+                .street-js-editor-btn {
+                    border: 1px solid var(--street-js-border);
+                    border-radius: var(--street-js-radius-small);
+                    background: var(--street-js-hover);
+                    color: var(--street-js-text);
+                    font: inherit;
+                    padding: 4px 8px;
+                    cursor: pointer;
+                }
+                
+                .street-js-editor-btn:hover:not(:disabled) {
+                    background: var(--street-js-border);
+                }
+                
+                .street-js-editor-btn:disabled {
+                    opacity: 0.35;
+                    cursor: default;
+                }
+                
+                .street-js-editor-btn.danger {
+                    border-color: rgba(255, 99, 99, 0.5);
+                    color: #ff8a8a;
+                }
+                
+                .street-js-editor label {
+                    display: block;
+                    margin-bottom: 8px;
+                    opacity: 0.9;
+                }
+                
+                .street-js-editor input,
+                .street-js-editor select,
+                .street-js-editor textarea {
+                    display: block;
+                    width: 100%;
+                    box-sizing: border-box;
+                    margin-top: 2px;
+                    padding: 4px 6px;
+                    border: 1px solid var(--street-js-border);
+                    border-radius: var(--street-js-radius-small);
+                    background: var(--street-js-hover);
+                    color: var(--street-js-text);
+                    font: inherit;
+                }
+                
+                .street-js-editor .street-js-editor-export {
+                    height: 160px;
+                    margin-top: 10px;
+                    font-family: monospace;
+                    font-size: 11px;
+                    resize: vertical;
+                }
+                
+                .street-js-popup {
+                    position: absolute;
+                    transform: translate(-50%, calc(-100% - 34px));
+                    width: max-content;
+                    max-width: 280px;
+                    background: var(--street-js-panel-bg);
+                    color: var(--street-js-text);
+                    border-radius: var(--street-js-radius);
+                    box-shadow: 0 4px 16px rgba(0, 0, 0, 0.25);
+                    padding: 12px 14px;
+                    font-size: 13px;
+                    line-height: 1.45;
+                    z-index: 12;
+                    cursor: auto;
+                    user-select: text;
+                }
+                
+                .street-js-popup-close {
+                    position: absolute;
+                    top: 4px;
+                    right: 6px;
+                    background: none;
+                    border: none;
+                    color: var(--street-js-text-muted);
+                    font-size: 18px;
+                    line-height: 1;
+                    cursor: pointer;
+                    padding: 2px 4px;
+                }
+                
+                .street-js-popup-close:hover {
+                    color: var(--street-js-text);
                 }
                 
-                .street-js-edge-indicator .street-js-tooltip-count {
+                .street-js-popup-image {
+                    display: block;
+                    max-width: 100%;
+                    border-radius: var(--street-js-radius-small);
+                    margin-bottom: 8px;
+                }
+                
+                .street-js-popup-title {
+                    font-size: 15px;
                     font-weight: 600;
-                    color: rgba(255, 255, 255, 0.95);
-                    margin-bottom: 3px;
+                    margin-bottom: 4px;
+                    padding-right: 16px;
                 }
                 
-                .street-js-edge-indicator .street-js-tooltip-list {
-                    font-size: 11px;
-                    opacity: 0.9;
+                .street-js-popup-content {
+                    color: var(--street-js-text-muted);
+                }
+                
+                .street-js-popup-link {
+                    display: inline-block;
+                    margin-top: 8px;
+                    color: var(--street-js-link);
                 }
                 
                 .street-js-loading {
@@ -326,14 +2013,14 @@ class StreetJS {
                     left: 0;
                     width: 100%;
                     height: 100%;
-                    background-color: rgba(17, 17, 17, 0.85);
+                    background-color: var(--street-js-overlay-bg);
                     backdrop-filter: blur(5px);
                     -webkit-backdrop-filter: blur(5px);
                     display: flex;
                     flex-direction: column;
                     align-items: center;
                     justify-content: center;
-                    color: white;
+                    color: var(--street-js-text);
                     z-index: 20;
                     opacity: 0;
                     visibility: hidden;
@@ -348,9 +2035,9 @@ class StreetJS {
                 .street-js-spinner {
                     width: 40px;
                     height: 40px;
-                    border: 2px solid rgba(255, 255, 255, 0.1);
+                    border: 2px solid var(--street-js-border);
                     border-radius: 50%;
-                    border-top-color: white;
+                    border-top-color: var(--street-js-text);
                     animation: street-js-spin 0.8s linear infinite;
                     margin-bottom: 12px;
                 }
@@ -372,14 +2059,14 @@ class StreetJS {
                     left: 0;
                     width: 100%;
                     height: 100%;
-                    background-color: rgba(17, 17, 17, 0.75);
+                    background-color: var(--street-js-overlay-bg);
                     backdrop-filter: blur(5px);
                     -webkit-backdrop-filter: blur(5px);
                     display: flex;
                     flex-direction: column;
                     align-items: center;
                     justify-content: center;
-                    color: white;
+                    color: var(--street-js-text);
                     z-index: 15;
                     opacity: 0;
                     visibility: hidden;
@@ -414,23 +2101,23 @@ class StreetJS {
                     width: 45px;
                     height: 45px;
                     border-radius: 50%;
-                    background-color: rgba(33, 33, 33, 0.6);
-                    backdrop-filter: blur(4px);
-                    -webkit-backdrop-filter: blur(4px);
+                    background-color: var(--street-js-control-bg);
+                    backdrop-filter: blur(var(--street-js-blur));
+                    -webkit-backdrop-filter: blur(var(--street-js-blur));
                     display: flex;
                     align-items: center;
                     justify-content: center;
                     pointer-events: all;
                     z-index: 5;
                     transition: opacity 0.3s, transform 0.3s;
-                    border: 1px solid rgba(255, 255, 255, 0.1);
+                    border: 1px solid var(--street-js-border);
                     box-shadow: 0 2px 6px rgba(0, 0, 0, 0.15);
                     cursor: pointer;
                 }
                 
                 .street-js-compass:hover {
                     transform: scale(1.1);
-                    border-color: rgba(255, 255, 255, 0.3);
+                    border-color: var(--street-js-text-muted);
                 }
                 
                 .street-js-compass:active {
@@ -442,9 +2129,9 @@ class StreetJS {
                     width: 70%;
                     height: 70%;
                     border-radius: 50%;
-                    background-color: rgba(255, 255, 255, 0.15);
+                    background-color: var(--street-js-hover);
                     position: relative;
-                    border: 1px solid rgba(255, 255, 255, 0.2);
+                    border: 1px solid var(--street-js-border);
                 }
                 
                 .street-js-compass-needle {
@@ -453,7 +2140,7 @@ class StreetJS {
                     left: 50%;
                     width: 1px;
                     height: 60%;
-                    background: linear-gradient(to bottom, rgba(255, 76, 76, 0.9) 0%, rgba(255, 76, 76, 0.9) 50%, rgba(255, 255, 255, 0.7) 51%, rgba(255, 255, 255, 0.7) 100%);
+                    background: linear-gradient(to bottom, var(--street-js-accent) 0%, var(--street-js-accent) 50%, var(--street-js-text-muted) 51%, var(--street-js-text-muted) 100%);
                     transform-origin: center center;
                     transform: translate(-50%, -50%);
                     transition: transform 0.3s cubic-bezier(0.23, 1, 0.32, 1);
@@ -464,7 +2151,7 @@ class StreetJS {
                     top: 10%;
                     left: 50%;
                     transform: translateX(-50%);
-                    color: rgba(255, 255, 255, 0.9);
+                    color: var(--street-js-text);
                     font-size: 9px;
                     font-weight: 600;
                     letter-spacing: 0.5px;
@@ -479,10 +2166,10 @@ class StreetJS {
                     display: flex;
                     align-items: center;
                     justify-content: center;
-                    background-color: rgba(17, 17, 17, 0.9);
+                    background-color: var(--street-js-overlay-bg);
                     backdrop-filter: blur(5px);
                     -webkit-backdrop-filter: blur(5px);
-                    color: white;
+                    color: var(--street-js-text);
                     z-index: 25;
                     padding: 20px;
                     text-align: center;
@@ -490,6 +2177,70 @@ class StreetJS {
                     letter-spacing: 0.3px;
                 }
 
+                .street-js-minimap {
+                    position: absolute;
+                    top: 15px;
+                    left: 15px;
+                    background-color: var(--street-js-panel-bg);
+                    border: 1px solid var(--street-js-border);
+                    border-radius: var(--street-js-radius);
+                    box-shadow: 0 2px 12px rgba(0, 0, 0, 0.13);
+                    overflow: hidden;
+                    z-index: 6;
+                    cursor: default;
+                }
+                
+                .street-js-minimap-map {
+                    position: absolute;
+                    top: 6px;
+                    left: 6px;
+                    right: 6px;
+                    bottom: 6px;
+                    background-size: contain;
+                    background-repeat: no-repeat;
+                    background-position: center;
+                }
+                
+                .street-js-minimap-marker {
+                    position: absolute;
+                    width: 10px;
+                    height: 10px;
+                    padding: 0;
+                    transform: translate(-50%, -50%);
+                    border-radius: 50%;
+                    border: 1px solid rgba(255, 255, 255, 0.8);
+                    background-color: rgba(255, 255, 255, 0.35);
+                    cursor: pointer;
+                    z-index: 2;
+                    transition: transform 0.2s, background-color 0.2s;
+                }
+                
+                .street-js-minimap-marker:hover {
+                    transform: translate(-50%, -50%) scale(1.3);
+                }
+                
+                .street-js-minimap-marker.current {
+                    background-color: var(--street-js-accent);
+                    border-color: #fff;
+                    z-index: 3;
+                }
+                
+                .street-js-minimap-cone {
+                    position: absolute;
+                    width: 60px;
+                    height: 60px;
+                    pointer-events: none;
+                    z-index: 1;
+                }
+                
+                .street-js-minimap-cone path {
+                    fill: var(--street-js-accent);
+                    fill-opacity: 0.35;
+                    stroke: var(--street-js-accent);
+                    stroke-opacity: 0.6;
+                    stroke-width: 1;
+                }
+                
                 /* Info panel styles */
                 .street-js-info-panel {
                     position: absolute;
@@ -497,9 +2248,9 @@ class StreetJS {
                     bottom: 20px;
                     min-width: 180px;
                     max-width: 320px;
-                    background: rgba(24, 24, 24, 0.82);
-                    color: #fff;
-                    border-radius: 10px;
+                    background: var(--street-js-panel-bg);
+                    color: var(--street-js-text);
+                    border-radius: var(--street-js-radius);
                     box-shadow: 0 2px 12px rgba(0,0,0,0.13);
                     padding: 14px 18px 10px 18px;
                     font-size: 15px;
@@ -514,19 +2265,24 @@ class StreetJS {
                     margin-bottom: 2px;
                     letter-spacing: 0.2px;
                 }
+                .street-js-info-panel .sjip-level {
+                    font-size: 12px;
+                    color: rgba(255, 196, 76, 0.95);
+                    margin-bottom: 2px;
+                }
                 .street-js-info-panel .sjip-direction {
                     font-size: 13px;
-                    color: #b6b6b6;
+                    color: var(--street-js-text-muted);
                     margin-bottom: 4px;
                 }
                 .street-js-info-panel .sjip-desc {
                     font-size: 13px;
-                    color: #e0e0e0;
+                    color: var(--street-js-text-muted);
                     margin-bottom: 8px;
                 }
                 .street-js-info-panel .sjip-waypoints {
                     margin-top: 2px;
-                    border-top: 1px solid rgba(255,255,255,0.07);
+                    border-top: 1px solid var(--street-js-border);
                     padding-top: 6px;
                     display: flex;
                     flex-direction: column;
@@ -535,7 +2291,8 @@ class StreetJS {
                 .street-js-info-panel .sjip-waypoint-btn {
                     background: none;
                     border: none;
-                    color: #fff;
+                    color: var(--street-js-text);
+                    font-family: inherit;
                     text-align: left;
                     padding: 4px 0;
                     font-size: 14px;
@@ -547,11 +2304,13 @@ class StreetJS {
                     gap: 7px;
                 }
                 .street-js-info-panel .sjip-waypoint-btn:hover {
-                    background: rgba(255,255,255,0.08);
+                    background: var(--street-js-hover);
                 }
-                .street-js-info-panel .sjip-waypoint-btn svg {
+                .street-js-info-panel .sjip-waypoint-btn svg,
+                .street-js-info-panel .sjip-waypoint-btn img {
                     width: 18px;
                     height: 18px;
+                    fill: currentColor;
                     opacity: 0.8;
                 }
                 @media (max-width: 600px) {
@@ -566,11 +2325,17 @@ class StreetJS {
                     }
                 }
             `;
-            document.head.appendChild(style);
-        }
     }
 
     createStructure() {
+        // Remember the host element as it was so destroy() can restore it
+        this.originalHost = {
+            html: this.element.innerHTML,
+            className: this.element.getAttribute('class'),
+            tabIndex: this.element.getAttribute('tabindex'),
+            cursor: this.element.style.cursor
+        };
+
         this.element.classList.add('street-js-container');
         this.element.innerHTML = `
             <div class="street-js-panorama"></div>
@@ -583,8 +2348,9 @@ class StreetJS {
                 <div class="street-js-instructions-icon">👀</div>
                 <div class="street-js-instructions-text">${this.getText('instructions')}</div>
             </div>
+            <div class="street-js-live" role="status" aria-live="polite"></div>
             ${this.config.showCompass ? `
-                <div class="street-js-compass">
+                <div class="street-js-compass" role="button" tabindex="0" aria-label="${this.getText('faceNorth')}">
                     <div class="street-js-compass-inner">
                         <div class="street-js-compass-needle"></div>
                         <div class="street-js-compass-text">${this.getText('north')}</div>
@@ -592,86 +2358,214 @@ class StreetJS {
                 </div>
             ` : ''}
             ${this.config.showInfoPanel ? `
-                <div class="street-js-info-panel" style="display:none"></div>
+                <div class="street-js-info-panel"></div>
+            ` : ''}
+            <div class="street-js-levels"></div>
+            <div class="street-js-tour"></div>
+            ${this.config.minimap ? `
+                <div class="street-js-minimap">
+                    <div class="street-js-minimap-map"></div>
+                </div>
             ` : ''}
         `;
 
         // Get elements
         this.panoramaEl = this.element.querySelector('.street-js-panorama');
+        if (this.config.renderer === 'webgl') {
+            this.initWebGL();
+        }
         this.waypointsEl = this.element.querySelector('.street-js-waypoints');
         this.loadingEl = this.element.querySelector('.street-js-loading');
         this.instructionsEl = this.element.querySelector('.street-js-instructions');
         this.compassEl = this.element.querySelector('.street-js-compass');
+        this.liveRegionEl = this.element.querySelector('.street-js-live');
         this.compassNeedleEl = this.element.querySelector('.street-js-compass-needle');
         this.infoPanelEl = this.element.querySelector('.street-js-info-panel');
+        this.minimapEl = this.element.querySelector('.street-js-minimap');
+        this.levelsEl = this.element.querySelector('.street-js-levels');
+        this.tourEl = this.element.querySelector('.street-js-tour');
+
+        // Hidden until there is something to show. Set here rather than in the markup above,
+        // style attributes are blocked by a Content Security Policy without 'unsafe-inline'.
+        [this.infoPanelEl, this.levelsEl, this.tourEl].forEach(el => {
+            if (el) el.style.display = 'none';
+        });
+
+        // Keep drags and wheel on the map from moving the panorama
+        if (this.minimapEl) {
+            this.minimapEl.addEventListener('pointerdown', (e) => e.stopPropagation());
+            this.minimapEl.addEventListener('wheel', (e) => e.stopPropagation());
+        }
+        // Using the tour controls neither moves the panorama nor counts as taking over from the tour
+        ['pointerdown', 'wheel', 'keydown'].forEach(type => {
+            this.tourEl.addEventListener(type, (e) => e.stopPropagation());
+        });
+
+        this.renderMinimap();
+        this.renderLevelSwitcher();
         
         // Show instructions initially
-        setTimeout(() => {
+        this.setTimer(() => {
             this.instructionsEl.classList.add('active');
         }, 1000);
     }
 
     setupEventListeners() {
-        // Mouse events
-        this.element.addEventListener('mousedown', (e) => {
-            this.isDragging = true;
-            this.startX = e.pageX;
-            this.element.style.cursor = 'grabbing';
+        // Pointer events cover mouse, touch and pen alike. Every pointer pressed on the viewer
+        // is tracked: one drags the view, two pinch to zoom.
+        this.listen(this.element, 'pointerdown', (e) => {
+            if (e.pointerType === 'mouse' && e.button !== 0) return;
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY, startX: e.clientX, startY: e.clientY, captured: false });
             this.instructionsEl.classList.remove('active');
-            // Stop any ongoing animation when user starts dragging
+            // Stop any ongoing animation (and momentum) when user starts dragging
             this.isAnimating = false;
+            this.startGesture();
         });
 
-        document.addEventListener('mouseup', () => {
+        this.listen(this.element, 'pointermove', (e) => {
+            const pointer = this.pointers.get(e.pointerId);
+            if (!pointer) return;
+            const moveX = e.clientX - pointer.x;
+            const moveY = e.clientY - pointer.y;
+            pointer.x = e.clientX;
+            pointer.y = e.clientY;
+
+            // Capture only once it's a drag, a plain click still has to reach waypoints and buttons
+            if (!pointer.captured && Math.hypot(e.clientX - pointer.startX, e.clientY - pointer.startY) > 4) {
+                pointer.captured = true;
+                try {
+                    this.element.setPointerCapture(e.pointerId);
+                } catch (err) {
+                    // The pointer is already gone
+                }
+            }
+
             if (this.isDragging) {
-                this.isDragging = false;
-                this.element.style.cursor = 'grab';
+                // Fingers move less than a mouse for the same turn
+                const multiplier = e.pointerType === 'touch' ? this.config.touchMultiplier : this.config.dragMultiplier;
+                const dx = moveX * multiplier;
+                const dy = moveY * multiplier;
+                this.backgroundPositionX -= dx;
+                this.backgroundPositionY -= dy;
+                this.trackDragVelocity(-dx, -dy);
+                this.updateRotation();
+            } else if (this.pointers.size === 2 && this.pinchStartDistance > 0) {
+                // Pinch zoom around the midpoint of both pointers
+                const [a, b] = this.pointers.values();
+                const rect = this.element.getBoundingClientRect();
+                this.setZoom(this.pinchStartZoom * this.getPointerDistance(a, b) / this.pinchStartDistance, {
+                    anchorX: (a.x + b.x) / 2 - rect.left,
+                    anchorY: (a.y + b.y) / 2 - rect.top
+                });
             }
         });
 
-        document.addEventListener('mousemove', (e) => {
-            if (!this.isDragging) return;
-            e.preventDefault();
-            const dx = (e.pageX - this.startX) * this.config.dragMultiplier; // Use drag multiplier for sensitivity
-            this.startX = e.pageX;
-            this.backgroundPositionX -= dx;
-            this.updateRotation();
-        });
+        // pointercancel means the browser took over (e.g. vertical page scrolling), no momentum then
+        const releasePointer = (e) => {
+            const pointer = this.pointers.get(e.pointerId);
+            if (!pointer) return;
+            this.lastPointerDragged = pointer.captured;
+            this.pointers.delete(e.pointerId);
+            if (this.pointers.size > 0) {
+                // Carry on with the pointers left on screen without jumping
+                this.startGesture();
+                return;
+            }
+            this.isDragging = false;
+            this.pinchStartDistance = 0;
+            this.element.style.cursor = 'grab';
+            if (e.type === 'pointerup') {
+                this.startInertia();
+            }
+        };
+        this.listen(this.element, 'pointerup', releasePointer);
+        this.listen(this.element, 'pointercancel', releasePointer);
 
-        // Touch events
-        this.element.addEventListener('touchstart', (e) => {
-            if (e.touches.length === 1) {
-                this.touchStartX = e.touches[0].pageX;
-                this.instructionsEl.classList.remove('active');
-                // Stop any ongoing animation when user starts dragging
-                this.isAnimating = false;
+        // Edit mode: waypoints and extent handles capture the pointer they are dragged with
+        this.listen(this.element, 'pointermove', (e) => {
+            if (this.editDrag && e.pointerId === this.editDrag.pointerId) {
+                this.updateEditDrag(e);
             }
         });
+        ['pointerup', 'pointercancel'].forEach(type => {
+            this.listen(this.element, type, (e) => {
+                if (this.editDrag && e.pointerId === this.editDrag.pointerId) {
+                    this.endEditDrag();
+                }
+            });
+        });
 
-        this.element.addEventListener('touchmove', (e) => {
-            if (e.touches.length === 1) {
-                const touchX = e.touches[0].pageX;
-                const dx = (touchX - this.touchStartX) * this.config.touchMultiplier; // Use touch multiplier for sensitivity 
-                this.touchStartX = touchX;
-                this.backgroundPositionX -= dx;
-                this.updateRotation();
+        // Edit mode: clicking the panorama itself (not dragging it) adds a waypoint there
+        this.listen(this.element, 'click', (e) => {
+            if (!this.editMode || this.lastPointerDragged || !this.panoramaEl.contains(e.target)) return;
+            const point = this.getEditPoint(e);
+            if (point) {
+                this.addEditWaypoint(point);
             }
         });
 
+        this.listen(this.element, 'wheel', (e) => {
+            if (!this.config.enableZoom) return;
+            e.preventDefault();
+            const rect = this.element.getBoundingClientRect();
+            this.zoomBy(e.deltaY < 0 ? this.config.zoomStep : 1 / this.config.zoomStep, {
+                anchorX: e.clientX - rect.left,
+                anchorY: e.clientY - rect.top
+            });
+            this.instructionsEl.classList.remove('active');
+        }, { passive: false });
+
+        // Follow the container size: window resizes, phone rotation, layout changes around the viewer
+        this.viewSize = { width: this.element.clientWidth, height: this.element.clientHeight };
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => this.handleResize());
+            this.resizeObserver.observe(this.element);
+        } else {
+            this.listen(window, 'resize', () => this.handleResize());
+            this.listen(window, 'orientationchange', () => this.handleResize());
+        }
+
+        // Any input stops auto-rotation and restarts the idle countdown
+        ['pointerdown', 'pointermove', 'wheel', 'keydown'].forEach(type => {
+            this.listen(this.element, type, () => this.handleUserActivity(type), { passive: true });
+        });
+
+        // Close the hotspot popup when pressing anywhere outside of it
+        const closePopupOutside = (e) => {
+            if (!this.openHotspot) return;
+            if (this.hotspotPopupEl.contains(e.target) || this.openHotspot.element.contains(e.target)) return;
+            this.closeHotspotPopup();
+        };
+        this.listen(document, 'pointerdown', closePopupOutside);
+
         // Keyboard events
-        document.addEventListener('keydown', (e) => {
+        this.listen(document, 'keydown', (e) => {
             if (!this.element.contains(document.activeElement) && document.activeElement !== this.element) {
                 return;
             }
+            if (this.editMode && this.handleEditKey(e)) {
+                return;
+            }
             
             const step = this.element.clientWidth / 15; // Reduced step for smoother movement
+            const stepY = this.element.clientHeight / 10;
             
-            if (e.key === 'ArrowLeft') {
+            if (e.key === 'Escape' && this.openHotspot) {
+                this.closeHotspotPopup();
+            } else if (e.key === 'ArrowLeft') {
                 this.animateRotation(-step);
                 this.instructionsEl.classList.remove('active');
             } else if (e.key === 'ArrowRight') {
                 this.animateRotation(step);
                 this.instructionsEl.classList.remove('active');
+            } else if ((e.key === 'ArrowUp' || e.key === 'ArrowDown') && this.getMaxPositionY() > 0) {
+                // Only take over the arrows (and page scrolling) when there is room to look up or down
+                e.preventDefault();
+                this.animateRotation(0, e.key === 'ArrowUp' ? -stepY : stepY);
+                this.instructionsEl.classList.remove('active');
+            } else if ((e.key === '+' || e.key === '=' || e.key === '-' || e.key === '_') && this.config.enableZoom) {
+                this.zoomBy(e.key === '+' || e.key === '=' ? this.config.zoomStep : 1 / this.config.zoomStep);
+                this.instructionsEl.classList.remove('active');
             }
         });
 
@@ -695,8 +2589,8 @@ class StreetJS {
         }
 
         // Handle blur/focus for instructions
-        this.element.addEventListener('blur', () => {
-            setTimeout(() => {
+        this.listen(this.element, 'blur', () => {
+            this.setTimer(() => {
                 // Only show instructions if focus is outside viewer and menu
                 if (
                     !this.element.contains(document.activeElement) &&
@@ -707,33 +2601,183 @@ class StreetJS {
             }, 100);
         });
         
-        this.element.addEventListener('focus', () => {
+        this.listen(this.element, 'focus', () => {
             this.instructionsEl.classList.remove('active');
         });
 
+        // Follow links and back/forward navigation that change the synced view
+        if (this.config.urlSync) {
+            this.listen(window, this.config.urlSync === 'query' ? 'popstate' : 'hashchange', () => {
+                this.applyUrlState();
+            });
+        }
+
         // Add compass click event for north orientation
         if (this.compassEl) {
             this.compassEl.addEventListener('click', () => {
                 this.rotateToNorth();
             });
+            this.compassEl.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.rotateToNorth();
+                }
+            });
+        }
+    }
+
+    // (Re)start the drag or pinch from where the tracked pointers are now
+    startGesture() {
+        const pointers = [...this.pointers.values()];
+        this.isDragging = pointers.length === 1;
+        this.pinchStartDistance = 0;
+        if (pointers.length === 2 && this.config.enableZoom) {
+            this.pinchStartDistance = this.getPointerDistance(pointers[0], pointers[1]);
+            this.pinchStartZoom = this.zoom;
+        }
+        this.dragSamples = [];
+        this.element.style.cursor = this.isDragging ? 'grabbing' : 'grab';
+    }
+
+    getPointerDistance(a, b) {
+        const dx = a.x - b.x;
+        const dy = a.y - b.y;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    // addEventListener that is undone by destroy()
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.domListeners.push({ target, type, handler, options });
+    }
+
+    // setTimeout that is cancelled by destroy()
+    setTimer(callback, delay) {
+        const id = setTimeout(() => {
+            this.timers.delete(id);
+            callback();
+        }, delay);
+        this.timers.add(id);
+        return id;
+    }
+
+    clearTimer(id) {
+        clearTimeout(id);
+        this.timers.delete(id);
+    }
+
+    // requestAnimationFrame that is cancelled by destroy()
+    requestFrame(callback) {
+        const id = requestAnimationFrame((time) => {
+            this.animationFrames.delete(id);
+            callback(time);
+        });
+        this.animationFrames.add(id);
+        return id;
+    }
+
+    destroy() {
+        if (this.destroyed) return;
+
+        this.emit('destroy', { panoId: this.currentPanoId });
+        this.destroyed = true;
+        this.isDragging = false;
+        this.pointers.clear();
+        this.isAnimating = false;
+        this.autoRotating = false;
+        this.tourPlaying = false;
+        this.cancelPreloading();
+        this.preloadedImages.clear();
+
+        this.timers.forEach(id => clearTimeout(id));
+        this.timers.clear();
+        this.animationFrames.forEach(id => cancelAnimationFrame(id));
+        this.animationFrames.clear();
+
+        this.domListeners.forEach(({ target, type, handler, options }) => {
+            target.removeEventListener(type, handler, options);
+        });
+        this.domListeners = [];
+
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+        this.destroyWebGL();
+
+        this.removeCSS();
+
+        // Restore the host element
+        if (this.originalHost) {
+            this.element.innerHTML = this.originalHost.html;
+            this.restoreAttribute('class', this.originalHost.className);
+            this.restoreAttribute('tabindex', this.originalHost.tabIndex);
+            this.element.style.cursor = this.originalHost.cursor;
+        }
+
+        this.off();
+        this.navigationQueue.forEach(({ cancel }) => cancel && cancel());
+        this.navigationQueue = [];
+        this.currentWaypoints = [];
+        this.currentHotspots = [];
+        this.openHotspot = null;
+        this.hotspotPopupEl = null;
+        this.edgeIndicators = { left: null, right: null };
+        this.panoramaEl = null;
+        this.waypointsEl = null;
+        this.loadingEl = null;
+        this.instructionsEl = null;
+        this.compassEl = null;
+        this.liveRegionEl = null;
+        this.compassNeedleEl = null;
+        this.infoPanelEl = null;
+        this.minimapEl = null;
+        this.minimapMarkers = {};
+        this.minimapConeEl = null;
+        this.levelsEl = null;
+        this.levelButtons = {};
+        this.tourEl = null;
+        this.tourControls = null;
+        this.editDrag = null;
+        this.editorEl = null;
+        this.editExtentEl = null;
+    }
+
+    restoreAttribute(name, value) {
+        if (value === null) {
+            this.element.removeAttribute(name);
+        } else {
+            this.element.setAttribute(name, value);
         }
     }
 
     // Add method to rotate to north
     rotateToNorth() {
+        this.setHeading(0);
+    }
+
+    // Rotate the view to a heading in degrees clockwise from north.
+    // options.animate - ease into the new heading (default) or jump straight to it
+    setHeading(heading, options = {}) {
+        if (this.destroyed) return;
+        const { animate = true } = options;
+
+        // Wait for the running transition instead of rotating the outgoing panorama
+        if (this.isTransitioning || this.isZoomTransitioning) {
+            this.enqueueNavigation(() => this.setHeading(heading, options));
+            return;
+        }
+
         const pano = this.config.panoramas[this.currentPanoId];
         if (!pano || !pano.scaledWidth) return;
 
-        // Get north angle (0 degrees or specified north value)
-        const northOffset = pano.north !== undefined ? pano.north : this.config.globalNorth;
-
-        // Calculate the pixel position of north (in the panorama image)
-        const northPx = (northOffset / 360) * pano.scaledWidth;
+        // Calculate the pixel position of the heading (in the panorama image)
+        const targetPx = ((heading + this.getNorthOffset(pano)) / 360) * pano.scaledWidth;
         const viewWidth = this.element.clientWidth;
 
         // The backgroundPositionX is the left edge of the visible area in the panorama image.
-        // To center north, set backgroundPositionX so that northPx is at the center of the view.
-        let targetBackgroundPositionX = northPx - (viewWidth / 2);
+        // To center the heading, set backgroundPositionX so that targetPx is at the center of the view.
+        let targetBackgroundPositionX = targetPx - (viewWidth / 2);
 
         // Normalize to [0, pano.scaledWidth)
         targetBackgroundPositionX = (targetBackgroundPositionX % pano.scaledWidth + pano.scaledWidth) % pano.scaledWidth;
@@ -749,46 +2793,544 @@ class StreetJS {
             }
         }
 
-        this.animateRotation(diff);
+        if (animate) {
+            this.animateRotation(diff);
+        } else {
+            this.isAnimating = false;
+            this.backgroundPositionX += diff;
+            this.updateRotation();
+        }
+    }
+
+    // Navigate to a panorama. Resolves with getState() once the new panorama is shown,
+    // rejects if its image fails to load. Calls made during a transition are queued.
+    // options.heading    - degrees from north to face on arrival (default: keep the current heading)
+    // options.pitch      - degrees to look up (positive) or down on arrival (default: level)
+    // options.transition - 'auto' (zoom through a waypoint leading there, else fade), 'zoom', 'fade' or 'none'
+    goTo(panoId, options = {}) {
+        if (this.destroyed) {
+            return Promise.reject(new Error('StreetJS: Viewer has been destroyed'));
+        }
+        if (!this.config.panoramas[panoId]) {
+            return Promise.reject(new Error(`StreetJS: Unknown panorama "${panoId}"`));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.enqueueNavigation(
+                () => this.performGoTo(panoId, options, resolve, reject),
+                () => reject(new Error('StreetJS: Viewer has been destroyed'))
+            );
+        });
+    }
+
+    performGoTo(panoId, options, resolve, reject) {
+        const { transition = 'auto' } = options;
+        const pano = this.config.panoramas[panoId];
+        // Removed while the call was queued
+        if (!pano) {
+            reject(new Error(`StreetJS: Unknown panorama "${panoId}"`));
+            return;
+        }
+        const heading = options.heading !== undefined ? options.heading : this.getHeading();
+
+        // Already there, only turn
+        if (panoId === this.currentPanoId && pano.scaledWidth) {
+            this.setHeading(heading, { animate: transition !== 'none' });
+            if (options.pitch !== undefined) {
+                this.setPitch(options.pitch, { animate: transition !== 'none' });
+            }
+            resolve(this.getState());
+            return;
+        }
+
+        const cleanup = () => {
+            offError();
+            offEnd();
+            offDestroy();
+        };
+        const offError = this.on('error', (e) => {
+            if (e.panoId !== panoId) return;
+            cleanup();
+            reject(new Error(`StreetJS: Failed to load panorama "${panoId}"`));
+        });
+        const offEnd = this.on('transitionend', () => {
+            cleanup();
+            if (options.pitch !== undefined) {
+                this.setPitch(options.pitch, { animate: false });
+            }
+            resolve(this.getState());
+        });
+        const offDestroy = this.on('destroy', () => {
+            cleanup();
+            reject(new Error('StreetJS: Viewer has been destroyed'));
+        });
+
+        const initialAngle = heading + this.getNorthOffset(pano);
+        const waypoint = this.currentWaypoints.find(wp => wp.data.to === panoId);
+
+        if (panoId === this.currentPanoId) {
+            // Shown but never laid out (its image failed to load): load it again
+            this.showLoading();
+            this.beginTransition(panoId, 'none');
+            this.loadNewPanorama(panoId, initialAngle, false);
+        } else if (waypoint && (transition === 'auto' || transition === 'zoom')) {
+            this.loadPanorama(panoId, initialAngle, waypoint.data);
+        } else if (transition === 'none') {
+            this.beginTransition(panoId, 'none');
+            this.loadNewPanorama(panoId, initialAngle, this.loadedPanoramas.has(panoId));
+        } else {
+            this.loadPanorama(panoId, initialAngle);
+        }
+    }
+
+    // cancel is called instead of task when the viewer is destroyed before the task ran
+    enqueueNavigation(task, cancel = null) {
+        this.navigationQueue.push({ task, cancel });
+        this.processNavigationQueue();
+    }
+
+    processNavigationQueue() {
+        // Run queued calls until one of them starts a new transition
+        while (
+            !this.destroyed &&
+            !this.isTransitioning &&
+            !this.isZoomTransitioning &&
+            this.navigationQueue.length > 0
+        ) {
+            this.navigationQueue.shift().task();
+        }
+    }
+
+    getState() {
+        const pano = this.config.panoramas[this.currentPanoId];
+        return {
+            panoId: this.currentPanoId,
+            name: pano ? this.localize(pano.name) : undefined,
+            heading: this.getHeading(),
+            pitch: this.getPitch(),
+            zoom: this.zoom,
+            isTransitioning: this.isTransitioning || this.isZoomTransitioning
+        };
     }
 
-    // Animate smooth rotation
-    animateRotation(step = 0) {
+    // Animate smooth rotation, stepY moves the view vertically (pitch).
+    // easing is the share of the remaining distance covered per frame, so the speed decays by it
+    animateRotation(step = 0, stepY = 0, easing = 0.15) {
+        if (this.destroyed) return;
+        const targetY = this.clampPositionY(this.backgroundPositionY + stepY);
+        this.rotationEasing = easing;
         if (this.isAnimating) {
             // If already animating, just update the target
             this.targetBackgroundPositionX = this.backgroundPositionX + step;
+            this.targetBackgroundPositionY = targetY;
             return;
         }
         
         this.isAnimating = true;
         this.targetBackgroundPositionX = this.backgroundPositionX + step;
+        this.targetBackgroundPositionY = targetY;
         
         const animate = () => {
             if (!this.isAnimating) return;
             
             // Calculate distance to target
             const diff = this.targetBackgroundPositionX - this.backgroundPositionX;
-            const absDistance = Math.abs(diff);
+            const diffY = this.targetBackgroundPositionY - this.backgroundPositionY;
+            const absDistance = Math.max(Math.abs(diff), Math.abs(diffY));
             
             // If we're close enough, snap to target and end animation
             if (absDistance < 1) {
                 this.backgroundPositionX = this.targetBackgroundPositionX;
+                this.backgroundPositionY = this.targetBackgroundPositionY;
                 this.updateRotation();
                 this.isAnimating = false;
                 return;
             }
-            
-            // Move a portion of the remaining distance (easing effect)
-            const moveStep = diff * 0.15;
-            this.backgroundPositionX += moveStep;
-            this.updateRotation();
-            
-            // Continue animation
-            requestAnimationFrame(animate);
+            
+            // Move a portion of the remaining distance (easing effect)
+            const positionBefore = this.backgroundPositionX + diff * this.rotationEasing;
+            this.backgroundPositionX = positionBefore;
+            this.backgroundPositionY += diffY * this.rotationEasing;
+            this.updateRotation();
+            // Keep the target in step when updateRotation wraps around the panorama seam
+            this.targetBackgroundPositionX += this.backgroundPositionX - positionBefore;
+            
+            // Continue animation
+            this.requestFrame(animate);
+        };
+        
+        // Start animation
+        this.requestFrame(animate);
+    }
+
+    // Remember how the view moved during the last moments of a drag
+    trackDragVelocity(dx, dy) {
+        const now = performance.now();
+        this.dragSamples.push({ time: now, dx, dy });
+        while (this.dragSamples.length && now - this.dragSamples[0].time > 100) {
+            this.dragSamples.shift();
+        }
+    }
+
+    // Keep the view moving after a drag is released. Momentum eases out through
+    // animateRotation(): covering `friction` of the remaining distance per frame
+    // starts at the release speed when the distance is speed / friction.
+    startInertia() {
+        const samples = this.dragSamples;
+        this.dragSamples = [];
+        if (!this.config.inertia || !samples.length || this.isTransitioning || this.isZoomTransitioning) return;
+
+        // Holding still before letting go means no spin
+        const now = performance.now();
+        if (now - samples[samples.length - 1].time > 50) return;
+
+        const frame = 1000 / 60;
+        const elapsed = Math.max(frame, now - samples[0].time + frame);
+        const velocityX = samples.reduce((sum, sample) => sum + sample.dx, 0) / elapsed;
+        const velocityY = samples.reduce((sum, sample) => sum + sample.dy, 0) / elapsed;
+        if (Math.abs(velocityX) < 0.05 && Math.abs(velocityY) < 0.05) return;
+
+        const friction = Math.min(1, Math.max(0.01, this.config.inertiaFriction));
+        this.animateRotation(velocityX * frame / friction, velocityY * frame / friction, friction);
+    }
+
+    // autoRotate config merged over the defaults:
+    // delay     - seconds without input before rotation starts
+    // speed     - degrees per second
+    // direction - 1 turns right (clockwise), -1 turns left
+    // walk      - after every full turn move on: 'random' follows a random waypoint,
+    //             a list of panorama ids is visited in order, false stays put
+    getAutoRotateOptions() {
+        return {
+            delay: 10,
+            speed: 6,
+            direction: 1,
+            walk: false,
+            ...(typeof this.config.autoRotate === 'object' ? this.config.autoRotate : {})
+        };
+    }
+
+    handleUserActivity(type) {
+        // Hovering doesn't count as taking over from a tour
+        if (this.tourPlaying && type !== 'pointermove') {
+            this.pauseTour();
+        }
+        this.stopAutoRotate();
+        if (this.config.autoRotate) {
+            this.scheduleAutoRotate();
+        }
+    }
+
+    scheduleAutoRotate() {
+        this.clearTimer(this.autoRotateTimer);
+        this.autoRotateTimer = this.setTimer(() => {
+            this.autoRotateTimer = null;
+            this.startAutoRotate();
+        }, this.getAutoRotateOptions().delay * 1000);
+    }
+
+    startAutoRotate() {
+        if (this.destroyed || this.autoRotating || this.tourPlaying || this.editMode) return;
+        this.clearTimer(this.autoRotateTimer);
+        this.autoRotateTimer = null;
+        this.autoRotating = true;
+        this.autoRotateTurned = 0;
+        this.emit('autorotatestart', { panoId: this.currentPanoId });
+
+        let lastTime = null;
+        const rotate = (time) => {
+            if (!this.autoRotating) return;
+            // Cap the frame time so a throttled background tab doesn't jump on return
+            const elapsed = lastTime === null ? 0 : Math.min(100, time - lastTime);
+            lastTime = time;
+
+            // Yield to drags, eased rotations and transitions instead of fighting them
+            const pano = this.config.panoramas[this.currentPanoId];
+            if (!this.isDragging && !this.isAnimating && !this.isTransitioning && pano && pano.scaledWidth) {
+                const options = this.getAutoRotateOptions();
+                const degrees = options.speed * elapsed / 1000;
+                this.backgroundPositionX += (options.direction < 0 ? -1 : 1) * degrees / 360 * pano.scaledWidth;
+                this.updateRotation();
+
+                this.autoRotateTurned += degrees;
+                if (this.autoRotateTurned >= 360 && options.walk) {
+                    this.autoRotateTurned = 0;
+                    const target = this.getAutoRotateWalkTarget(options.walk);
+                    if (target) {
+                        this.autoRotatePreviousPanoId = this.currentPanoId;
+                        this.goTo(target).catch(() => {});
+                    }
+                }
+            }
+            this.requestFrame(rotate);
+        };
+        this.requestFrame(rotate);
+    }
+
+    stopAutoRotate() {
+        this.clearTimer(this.autoRotateTimer);
+        this.autoRotateTimer = null;
+        if (!this.autoRotating) return;
+        this.autoRotating = false;
+        this.emit('autorotatestop', { panoId: this.currentPanoId });
+    }
+
+    isAutoRotating() {
+        return this.autoRotating;
+    }
+
+    getAutoRotateWalkTarget(walk) {
+        if (Array.isArray(walk)) {
+            const route = walk.filter(panoId => this.config.panoramas[panoId]);
+            return route.length ? route[(route.indexOf(this.currentPanoId) + 1) % route.length] : null;
+        }
+
+        const pano = this.config.panoramas[this.currentPanoId];
+        const targets = ((pano && pano.waypoints) || [])
+            .map(waypoint => waypoint.to)
+            .filter(to => to !== this.currentPanoId && this.config.panoramas[to]);
+        // Avoid walking straight back when there is anywhere else to go
+        const forward = targets.filter(to => to !== this.autoRotatePreviousPanoId);
+        const choices = forward.length ? forward : targets;
+        return choices.length ? choices[Math.floor(Math.random() * choices.length)] : null;
+    }
+
+    // Guided tour: a list of steps or { steps, loop, autoplay }. Each step is
+    // { panorama, heading, pitch, caption, text, dwell, transition }: the panorama to show
+    // (the current one when omitted), the heading and pitch to face, a caption with optional
+    // rich text, seconds to stay before the next step (default 5) and the goTo() transition.
+    setTour(tour) {
+        this.stopTour();
+        const options = Array.isArray(tour) ? { steps: tour } : (tour || {});
+        this.tour = {
+            loop: false,
+            autoplay: false,
+            ...options,
+            steps: (options.steps || []).filter(step => !step.panorama || this.config.panoramas[step.panorama])
+        };
+        if (this.tour.steps.length !== (options.steps || []).length) {
+            console.error('StreetJS: Tour steps with unknown panoramas were skipped');
+        }
+        this.renderTour();
+        if (this.tour.autoplay) {
+            this.playTour();
+        }
+    }
+
+    playTour() {
+        if (this.destroyed || !this.tour || !this.tour.steps.length || this.tourPlaying) return;
+        this.tourPlaying = true;
+        this.stopAutoRotate();
+        this.emit('tourplay', { index: this.tourIndex, total: this.tour.steps.length });
+
+        const last = this.tour.steps.length - 1;
+        if (this.tourIndex < 0 || (this.tourIndex === last && this.tourArrived && this.tourDwellRemaining <= 0)) {
+            // Not started yet or already finished: play from the beginning
+            this.goToTourStep(0).catch(() => {});
+        } else if (this.tourArrived) {
+            this.scheduleTourDwell();
+        }
+        this.updateTour();
+    }
+
+    pauseTour() {
+        if (!this.tourPlaying) return;
+        this.tourPlaying = false;
+        if (this.tourTimer) {
+            this.tourDwellRemaining -= Date.now() - this.tourDwellStarted;
+            this.clearTimer(this.tourTimer);
+            this.tourTimer = null;
+        }
+        this.emit('tourpause', { index: this.tourIndex, total: this.tour.steps.length });
+        this.updateTour();
+        if (this.config.autoRotate) {
+            this.scheduleAutoRotate();
+        }
+    }
+
+    // Hide the tour, playTour() starts it over
+    stopTour() {
+        if (!this.tour) return;
+        const index = this.tourIndex;
+        this.tourPlaying = false;
+        this.clearTimer(this.tourTimer);
+        this.tourTimer = null;
+        this.tourStepToken++;
+        this.tourIndex = -1;
+        this.tourArrived = false;
+        if (this.tourEl) {
+            this.tourEl.style.display = 'none';
+        }
+        if (index >= 0) {
+            this.emit('tourend', { index, total: this.tour.steps.length, completed: false });
+        }
+    }
+
+    nextTourStep() {
+        if (!this.tour || !this.tour.steps.length) return;
+        if (this.tourIndex < this.tour.steps.length - 1) {
+            this.goToTourStep(this.tourIndex + 1).catch(() => {});
+        } else if (this.tour.loop) {
+            this.goToTourStep(0).catch(() => {});
+        }
+    }
+
+    previousTourStep() {
+        if (!this.tour || this.tourIndex <= 0) return;
+        this.goToTourStep(this.tourIndex - 1).catch(() => {});
+    }
+
+    // Show a step, resolves with getState() once its panorama and heading are reached
+    goToTourStep(index) {
+        if (this.destroyed || !this.tour || !this.tour.steps[index]) {
+            return Promise.reject(new Error(`StreetJS: Unknown tour step ${index}`));
+        }
+
+        const step = this.tour.steps[index];
+        const token = ++this.tourStepToken;
+        this.clearTimer(this.tourTimer);
+        this.tourTimer = null;
+        this.tourIndex = index;
+        this.tourArrived = false;
+        this.tourDwellRemaining = (step.dwell !== undefined ? step.dwell : 5) * 1000;
+        if (this.tourEl) {
+            this.tourEl.style.display = '';
+        }
+        this.updateTour();
+
+        const panoId = step.panorama || this.currentPanoId;
+        this.emit('tourstep', { index, total: this.tour.steps.length, step, panoId });
+
+        const arrive = () => {
+            if (token !== this.tourStepToken) return;
+            this.tourArrived = true;
+            if (this.tourPlaying) {
+                this.scheduleTourDwell();
+            }
+        };
+        return this.goTo(panoId, { heading: step.heading, pitch: step.pitch, transition: step.transition })
+            .then(state => {
+                arrive();
+                return state;
+            }, err => {
+                // Don't get stuck on a panorama that fails to load
+                arrive();
+                throw err;
+            });
+    }
+
+    scheduleTourDwell() {
+        this.clearTimer(this.tourTimer);
+        this.tourDwellStarted = Date.now();
+        this.tourTimer = this.setTimer(() => {
+            this.tourTimer = null;
+            this.tourDwellRemaining = 0;
+            if (this.tourIndex < this.tour.steps.length - 1 || this.tour.loop) {
+                this.nextTourStep();
+                return;
+            }
+
+            // The last step stays on screen, playing again starts over
+            this.tourPlaying = false;
+            this.emit('tourend', { index: this.tourIndex, total: this.tour.steps.length, completed: true });
+            this.updateTour();
+            if (this.config.autoRotate) {
+                this.scheduleAutoRotate();
+            }
+        }, Math.max(0, this.tourDwellRemaining));
+    }
+
+    getTourState() {
+        return {
+            index: this.tourIndex,
+            total: this.tour ? this.tour.steps.length : 0,
+            playing: this.tourPlaying,
+            step: this.tour && this.tourIndex >= 0 ? this.tour.steps[this.tourIndex] : null
         };
-        
-        // Start animation
-        requestAnimationFrame(animate);
+    }
+
+    renderTour() {
+        this.tourControls = null;
+        if (!this.tourEl) return;
+        this.tourEl.innerHTML = '';
+        if (!this.tour.steps.length) {
+            this.tourEl.style.display = 'none';
+            return;
+        }
+
+        const caption = document.createElement('div');
+        caption.className = 'street-js-tour-caption';
+        const text = document.createElement('div');
+        text.className = 'street-js-tour-text';
+
+        const controls = document.createElement('div');
+        controls.className = 'street-js-tour-controls';
+        const addButton = (className, label, symbol, action) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `street-js-tour-btn ${className}`;
+            button.setAttribute('aria-label', label);
+            button.title = label;
+            button.textContent = symbol;
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                action();
+            });
+            controls.appendChild(button);
+            return button;
+        };
+        const previous = addButton('street-js-tour-prev', this.getText('tourPrevious'), '‹', () => this.previousTourStep());
+        const play = addButton('street-js-tour-play', this.getText('tourPlay'), '▶', () => {
+            if (this.tourPlaying) {
+                this.pauseTour();
+            } else {
+                this.playTour();
+            }
+        });
+        const next = addButton('street-js-tour-next', this.getText('tourNext'), '›', () => this.nextTourStep());
+
+        const progress = document.createElement('div');
+        progress.className = 'street-js-tour-progress';
+        const progressBar = document.createElement('div');
+        progressBar.className = 'street-js-tour-progress-bar';
+        progress.appendChild(progressBar);
+        controls.appendChild(progress);
+
+        const count = document.createElement('span');
+        count.className = 'street-js-tour-count';
+        controls.appendChild(count);
+        addButton('street-js-tour-close', this.getText('tourClose'), '×', () => this.stopTour());
+
+        this.tourEl.appendChild(caption);
+        this.tourEl.appendChild(text);
+        this.tourEl.appendChild(controls);
+
+        this.tourControls = { caption, text, previous, play, next, progressBar, count };
+        this.tourEl.style.display = '';
+        this.updateTour();
+    }
+
+    updateTour() {
+        if (!this.tourControls) return;
+        const { caption, text, previous, play, next, progressBar, count } = this.tourControls;
+        const total = this.tour.steps.length;
+        const step = this.tourIndex >= 0 ? this.tour.steps[this.tourIndex] : null;
+
+        caption.textContent = (step && this.localize(step.caption)) || '';
+        caption.style.display = caption.textContent ? '' : 'none';
+        // Step text may hold markup, set by whoever wrote the tour
+        text.innerHTML = (step && this.localize(step.text)) || '';
+        text.style.display = step && step.text ? '' : 'none';
+
+        const playLabel = this.getText(this.tourPlaying ? 'tourPause' : 'tourPlay');
+        play.textContent = this.tourPlaying ? '❚❚' : '▶';
+        play.setAttribute('aria-label', playLabel);
+        play.title = playLabel;
+        previous.disabled = this.tourIndex <= 0;
+        next.disabled = this.tourIndex >= total - 1 && !this.tour.loop;
+
+        progressBar.style.width = `${((this.tourIndex + 1) / total) * 100}%`;
+        count.textContent = `${this.tourIndex + 1} / ${total}`;
     }
 
     showLoading() {
@@ -800,12 +3342,18 @@ class StreetJS {
     }
 
     showError(message) {
+        if (this.destroyed) return;
+        this.hideError();
         const errorEl = document.createElement('div');
         errorEl.className = 'street-js-error';
         errorEl.textContent = message;
         this.element.appendChild(errorEl);
     }
 
+    hideError() {
+        this.element.querySelectorAll('.street-js-error').forEach(errorEl => errorEl.remove());
+    }
+
     createEdgeIndicators() {
         // Remove existing indicators if they exist
         if (this.edgeIndicators.left) {
@@ -818,39 +3366,319 @@ class StreetJS {
         }
 
         // Create left indicator
-        const leftIndicator = document.createElement('div');
+        const leftIndicator = document.createElement('button');
+        leftIndicator.type = 'button';
         leftIndicator.className = 'street-js-edge-indicator left';
+        leftIndicator.innerHTML = this.getIcon('edgeLeft') || '';
         leftIndicator.style.display = 'none';
         leftIndicator.addEventListener('click', () => {
             this.backgroundPositionX -= this.element.clientWidth / 2;
             this.updateRotation();
+            this.keepFocusInViewer(leftIndicator);
         });
         this.waypointsEl.appendChild(leftIndicator);
         this.edgeIndicators.left = leftIndicator;
 
         // Create right indicator
-        const rightIndicator = document.createElement('div');
+        const rightIndicator = document.createElement('button');
+        rightIndicator.type = 'button';
         rightIndicator.className = 'street-js-edge-indicator right';
+        rightIndicator.innerHTML = this.getIcon('edgeRight') || '';
         rightIndicator.style.display = 'none';
         rightIndicator.addEventListener('click', () => {
             this.backgroundPositionX += this.element.clientWidth / 2;
             this.updateRotation();
+            this.keepFocusInViewer(rightIndicator);
         });
         this.waypointsEl.appendChild(rightIndicator);
         this.edgeIndicators.right = rightIndicator;
     }
 
+    // Move keyboard focus to the viewer when the focused control is about to disappear
+    keepFocusInViewer(control) {
+        if (document.activeElement === control && (control.style.display === 'none' || !control.isConnected)) {
+            this.element.focus();
+        }
+    }
+
     updateRotation() {
-        if (!this.currentPanoId) return;
+        if (this.destroyed || !this.currentPanoId) return;
         
         const pano = this.config.panoramas[this.currentPanoId];
         if (!pano || !pano.scaledWidth) return;
 
         this.backgroundPositionX = (this.backgroundPositionX % pano.scaledWidth + pano.scaledWidth) % pano.scaledWidth;
-        this.panoramaEl.style.backgroundPositionX = `-${this.backgroundPositionX}px`;
+        this.backgroundPositionY = this.clampPositionY(this.backgroundPositionY);
+        this.element.classList.toggle('street-js-can-pitch', this.getMaxPositionY() > 0);
+        this.renderPanorama();
         this.updateWaypoints();
         this.updateCompass();
+        this.updateMinimap();
+        this.updateLevelSwitcher();
         this.updateInfoPanel(); // <--- update info panel on rotation
+
+        this.scheduleUrlStateWrite();
+        this.scheduleAnnouncement();
+
+        const rotationKey = `${this.currentPanoId}:${this.backgroundPositionX}:${this.backgroundPositionY}`;
+        if (rotationKey !== this.lastRotationKey) {
+            this.lastRotationKey = rotationKey;
+            this.emit('rotate', { panoId: this.currentPanoId, heading: this.getHeading(), pitch: this.getPitch() });
+        }
+    }
+
+    renderPanorama() {
+        if (this.renderMode === 'webgl') {
+            this.renderWebGL();
+            return;
+        }
+        this.panoramaEl.style.backgroundPosition = `-${this.backgroundPositionX}px -${this.backgroundPositionY}px`;
+    }
+
+    setPanoramaImage(panoData, img) {
+        if (this.renderMode === 'webgl') {
+            this.uploadWebGLTexture(img);
+            return;
+        }
+        this.panoramaEl.style.backgroundImage = `url('${img.src}')`;
+    }
+
+    applyImageGeometry(panoData, img) {
+        this.imageAspect = img.height / img.width;
+        return this.updateGeometry(panoData);
+    }
+
+    // Spherical renderer: a full-screen quad whose fragment shader turns every pixel into a view ray
+    // and samples the equirectangular image at that ray's longitude/latitude. It shares the strip
+    // coordinates (backgroundPositionX/Y, scaledWidth) with the CSS renderer, so everything built
+    // on those keeps working and only locateInView() has to project differently.
+    initWebGL() {
+        const canvas = document.createElement('canvas');
+        canvas.className = 'street-js-canvas';
+        let gl = null;
+        try {
+            gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+        } catch (err) {
+            gl = null;
+        }
+        if (!gl) {
+            console.warn('StreetJS: WebGL is not available, falling back to the CSS renderer');
+            return;
+        }
+
+        const vertexSource = `
+            attribute vec2 aPosition;
+            varying vec2 vPosition;
+            void main() {
+                vPosition = aPosition;
+                gl_Position = vec4(aPosition, 0.0, 1.0);
+            }
+        `;
+        const fragmentSource = `
+            #ifdef GL_FRAGMENT_PRECISION_HIGH
+            precision highp float;
+            #else
+            precision mediump float;
+            #endif
+            uniform sampler2D uTexture;
+            uniform float uYaw;
+            uniform float uPitch;
+            uniform float uTanHalfFov;
+            uniform float uAspect;
+            uniform float uVerticalSpan;
+            varying vec2 vPosition;
+            void main() {
+                vec3 ray = vec3(vPosition.x * uTanHalfFov, vPosition.y * uTanHalfFov * uAspect, 1.0);
+                float cp = cos(uPitch);
+                float sp = sin(uPitch);
+                vec3 dir = vec3(ray.x, ray.y * cp + ray.z * sp, ray.z * cp - ray.y * sp);
+                float lon = atan(dir.x, dir.z);
+                float lat = atan(dir.y, length(dir.xz));
+                float u = fract((uYaw + lon) / 6.283185307);
+                float v = 0.5 - lat / uVerticalSpan;
+                if (v < 0.0 || v > 1.0) {
+                    gl_FragColor = vec4(0.067, 0.067, 0.067, 1.0);
+                } else {
+                    gl_FragColor = texture2D(uTexture, vec2(u, v));
+                }
+            }
+        `;
+
+        const program = gl.createProgram();
+        gl.attachShader(program, this.compileShader(gl, gl.VERTEX_SHADER, vertexSource));
+        gl.attachShader(program, this.compileShader(gl, gl.FRAGMENT_SHADER, fragmentSource));
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            console.warn('StreetJS: WebGL shaders failed to link, falling back to the CSS renderer', gl.getProgramInfoLog(program));
+            return;
+        }
+        gl.useProgram(program);
+
+        // Two triangles covering the whole canvas
+        const buffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1]), gl.STATIC_DRAW);
+        const positionLocation = gl.getAttribLocation(program, 'aPosition');
+        gl.enableVertexAttribArray(positionLocation);
+        gl.vertexAttribPointer(positionLocation, 2, gl.FLOAT, false, 0, 0);
+
+        this.gl = gl;
+        this.glCanvas = canvas;
+        this.glProgram = program;
+        this.glBuffer = buffer;
+        this.glTexture = null;
+        this.glUniforms = {};
+        ['uTexture', 'uYaw', 'uPitch', 'uTanHalfFov', 'uAspect', 'uVerticalSpan'].forEach(name => {
+            this.glUniforms[name] = gl.getUniformLocation(program, name);
+        });
+
+        this.panoramaEl.appendChild(canvas);
+        this.renderMode = 'webgl';
+    }
+
+    compileShader(gl, type, source) {
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            console.warn('StreetJS: WebGL shader failed to compile', gl.getShaderInfoLog(shader));
+        }
+        return shader;
+    }
+
+    uploadWebGLTexture(img) {
+        const gl = this.gl;
+        if (!gl) return;
+
+        // Scale down images larger than the GPU allows (12k panoramas exceed many mobile limits)
+        let source = img;
+        const maxSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+        if (img.width > maxSize || img.height > maxSize) {
+            const ratio = Math.min(maxSize / img.width, maxSize / img.height);
+            source = document.createElement('canvas');
+            source.width = Math.floor(img.width * ratio);
+            source.height = Math.floor(img.height * ratio);
+            source.getContext('2d').drawImage(img, 0, 0, source.width, source.height);
+        }
+
+        if (!this.glTexture) {
+            this.glTexture = gl.createTexture();
+        }
+        gl.bindTexture(gl.TEXTURE_2D, this.glTexture);
+        // Panoramas are rarely power-of-two sized, so no mipmaps or repeat wrapping (the shader wraps)
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+    }
+
+    renderWebGL() {
+        const gl = this.gl;
+        const pano = this.config.panoramas[this.currentPanoId];
+        if (!gl || !this.glTexture || !pano || !pano.scaledWidth) return;
+
+        // Keep the drawing buffer in step with the element size
+        const dpr = window.devicePixelRatio || 1;
+        const width = Math.max(1, Math.round(this.element.clientWidth * dpr));
+        const height = Math.max(1, Math.round(this.element.clientHeight * dpr));
+        if (this.glCanvas.width !== width || this.glCanvas.height !== height) {
+            this.glCanvas.width = width;
+            this.glCanvas.height = height;
+        }
+        gl.viewport(0, 0, width, height);
+
+        const fov = (this.element.clientWidth / pano.scaledWidth) * Math.PI * 2;
+        gl.uniform1i(this.glUniforms.uTexture, 0);
+        gl.uniform1f(this.glUniforms.uYaw, this.getViewAngle() * Math.PI / 180);
+        gl.uniform1f(this.glUniforms.uPitch, this.getPitch() * Math.PI / 180);
+        gl.uniform1f(this.glUniforms.uTanHalfFov, Math.tan(fov / 2));
+        gl.uniform1f(this.glUniforms.uAspect, height / width);
+        gl.uniform1f(this.glUniforms.uVerticalSpan, (pano.scaledHeight / pano.scaledWidth) * Math.PI * 2);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.glTexture);
+        gl.drawArrays(gl.TRIANGLES, 0, 6);
+    }
+
+    // locateInView() for the spherical renderer: perspective projection of the point's yaw/pitch
+    locateInSphereView(pano, px, py, viewWidth, viewHeight) {
+        const fullTurn = Math.PI * 2;
+        const yaw = ((this.backgroundPositionX + viewWidth / 2) / pano.scaledWidth) * fullTurn;
+        const pitch = this.getPitch() * Math.PI / 180;
+
+        // Longitude relative to the view center in (-PI, PI], latitude from the image center line
+        let lon = (px / pano.scaledWidth) * fullTurn - yaw;
+        lon = ((lon % fullTurn) + fullTurn + Math.PI) % fullTurn - Math.PI;
+        const lat = ((pano.scaledHeight / 2 - py) / pano.scaledWidth) * fullTurn;
+        const side = lon < 0 ? 'left' : 'right';
+        const sideDistance = Math.max(0, (Math.abs(lon) / fullTurn) * pano.scaledWidth - viewWidth / 2);
+
+        // Direction on the sphere, then undo the camera pitch (inverse of the shader rotation)
+        const dx = Math.cos(lat) * Math.sin(lon);
+        const dy = Math.sin(lat);
+        const dz = Math.cos(lat) * Math.cos(lon);
+        const cameraY = dy * Math.cos(pitch) - dz * Math.sin(pitch);
+        const cameraZ = dy * Math.sin(pitch) + dz * Math.cos(pitch);
+
+        if (cameraZ <= 0.01) {
+            return { visible: false, side, distance: sideDistance };
+        }
+
+        const tanHalfFov = Math.tan((viewWidth / pano.scaledWidth) * Math.PI);
+        const x = viewWidth / 2 + (dx / cameraZ) / tanHalfFov * (viewWidth / 2);
+        const y = viewHeight / 2 - (cameraY / cameraZ) / (tanHalfFov * viewHeight / viewWidth) * (viewHeight / 2);
+
+        const isHorizontallyVisible = x >= -50 && x < viewWidth + 50;
+        if (isHorizontallyVisible && y >= -50 && y < viewHeight + 50) {
+            return { visible: true, x, y, distance: Math.abs(x - viewWidth / 2) };
+        }
+        return { visible: false, side: isHorizontallyVisible ? null : side, distance: sideDistance };
+    }
+
+    destroyWebGL() {
+        const gl = this.gl;
+        if (!gl) return;
+        if (this.glTexture) gl.deleteTexture(this.glTexture);
+        gl.deleteBuffer(this.glBuffer);
+        gl.deleteProgram(this.glProgram);
+        this.gl = null;
+        this.glCanvas = null;
+        this.glProgram = null;
+        this.glBuffer = null;
+        this.glTexture = null;
+    }
+
+    // Size the panorama so its height fills the viewer (times verticalOverscan and zoom) keeping the image aspect ratio
+    updateGeometry(panoData) {
+        const originalWidth = panoData.width;
+        const originalHeight = this.imageAspect * originalWidth;
+        // handleResize() measures the next change from here
+        this.viewSize = { width: this.element.clientWidth, height: this.element.clientHeight };
+
+        if (this.renderMode === 'webgl') {
+            // The sphere is sampled by angle, size the virtual strip so the view spans the (zoomed) field of view
+            const fov = Math.min(170, Math.max(1, this.config.fov / this.zoom));
+            panoData.scaledWidth = this.element.clientWidth * 360 / fov;
+            panoData.scaledHeight = (panoData.scaledWidth / originalWidth) * originalHeight;
+            return panoData.scaledWidth;
+        }
+
+        const scaledHeight = this.element.clientHeight * Math.max(1, this.config.verticalOverscan) * this.zoom;
+        panoData.scaledWidth = (scaledHeight / originalHeight) * originalWidth;
+        panoData.scaledHeight = scaledHeight;
+        this.panoramaEl.style.backgroundSize = `${panoData.scaledWidth}px ${panoData.scaledHeight}px`;
+        return panoData.scaledWidth;
+    }
+
+    // How far the view can move down inside the scaled image, 0 when there is no room to look up or down
+    getMaxPositionY() {
+        const pano = this.config.panoramas[this.currentPanoId];
+        if (!pano || !pano.scaledHeight) return 0;
+        return Math.max(0, pano.scaledHeight - this.element.clientHeight);
+    }
+
+    clampPositionY(positionY) {
+        return Math.min(Math.max(0, positionY), this.getMaxPositionY());
     }
 
     updateCompass() {
@@ -890,12 +3718,186 @@ class StreetJS {
         this.compassEl.style.cursor = 'pointer';
     }
 
+    // Build the floor plan with a marker for every panorama that has x/y coordinates
+    renderMinimap() {
+        this.minimapMarkers = {};
+        this.minimapConeEl = null;
+        if (!this.minimapEl) return;
+
+        const options = this.config.minimap;
+        const mapEl = this.minimapEl.querySelector('.street-js-minimap-map');
+        this.minimapEl.style.width = `${options.width || 200}px`;
+        this.minimapEl.style.height = `${options.height || 150}px`;
+        mapEl.innerHTML = '';
+
+        Object.keys(this.config.panoramas).forEach(panoId => {
+            const pano = this.config.panoramas[panoId];
+            if (pano.x === undefined || pano.y === undefined) return;
+
+            const marker = document.createElement('button');
+            marker.type = 'button';
+            marker.className = 'street-js-minimap-marker';
+            marker.style.left = `${pano.x}%`;
+            marker.style.top = `${pano.y}%`;
+            marker.title = this.localize(pano.name) || panoId;
+            marker.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (panoId !== this.currentPanoId) {
+                    this.goTo(panoId).catch(() => {});
+                }
+            });
+            mapEl.appendChild(marker);
+            this.minimapMarkers[panoId] = marker;
+        });
+
+        // The cone sits on top of the current panorama's marker
+        const cone = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        cone.setAttribute('class', 'street-js-minimap-cone');
+        cone.setAttribute('viewBox', '-50 -50 100 100');
+        cone.innerHTML = '<path></path>';
+        mapEl.appendChild(cone);
+        this.minimapConeEl = cone;
+        this.minimapConeFov = null;
+
+        this.updateMinimap();
+    }
+
+    updateMinimap() {
+        if (!this.minimapEl || !this.minimapConeEl) return;
+
+        // Only the current floor is drawn, on its own plan when it has one
+        const pano = this.config.panoramas[this.currentPanoId];
+        const level = pano ? this.getPanoramaLevel(pano) : null;
+        const levelOptions = this.getLevelOptions(level);
+        const image = levelOptions.minimapImage || this.config.minimap.image;
+        const mapEl = this.minimapEl.querySelector('.street-js-minimap-map');
+        const backgroundImage = image ? `url('${image}')` : '';
+        if (mapEl.dataset.image !== backgroundImage) {
+            mapEl.dataset.image = backgroundImage;
+            mapEl.style.backgroundImage = backgroundImage;
+        }
+
+        Object.keys(this.minimapMarkers).forEach(panoId => {
+            const marker = this.minimapMarkers[panoId];
+            marker.classList.toggle('current', panoId === this.currentPanoId);
+            marker.style.display = this.getPanoramaLevel(this.config.panoramas[panoId]) === level ? '' : 'none';
+        });
+
+        if (!pano || !pano.scaledWidth || !this.minimapMarkers[this.currentPanoId]) {
+            this.minimapConeEl.style.display = 'none';
+            return;
+        }
+
+        // Redraw the sector only when the field of view changes (zoom, resize)
+        const fov = Math.min(359, (this.element.clientWidth / pano.scaledWidth) * 360);
+        if (this.minimapConeFov === null || Math.abs(fov - this.minimapConeFov) > 0.5) {
+            this.minimapConeFov = fov;
+            const half = (fov / 2) * Math.PI / 180;
+            const radius = 48;
+            const x = (Math.sin(half) * radius).toFixed(2);
+            const y = (-Math.cos(half) * radius).toFixed(2);
+            const largeArc = fov > 180 ? 1 : 0;
+            this.minimapConeEl.firstChild.setAttribute('d', `M0 0 L-${x} ${y} A${radius} ${radius} 0 ${largeArc} 1 ${x} ${y} Z`);
+        }
+
+        // North may point anywhere on the plan
+        const rotation = this.getHeading() + (this.config.minimap.north || 0);
+        this.minimapConeEl.style.display = 'block';
+        this.minimapConeEl.style.left = `${pano.x}%`;
+        this.minimapConeEl.style.top = `${pano.y}%`;
+        this.minimapConeEl.style.transform = `translate(-50%, -50%) rotate(${rotation}deg)`;
+    }
+
+    // Levels are compared as strings so `level: 1` and a `levels: { 1: ... }` key match
+    getPanoramaLevel(pano) {
+        return pano && pano.level !== undefined && pano.level !== null ? String(pano.level) : null;
+    }
+
+    getLevelOptions(level) {
+        return (level !== null && this.config.levels && this.config.levels[level]) || {};
+    }
+
+    // All levels, lowest first: numeric levels sort by value, named ones keep their configuration order
+    getLevels() {
+        const levels = [];
+        const add = (level) => {
+            if (level !== null && !levels.includes(level)) levels.push(level);
+        };
+        Object.keys(this.config.levels || {}).forEach(add);
+        Object.keys(this.config.panoramas).forEach(panoId => add(this.getPanoramaLevel(this.config.panoramas[panoId])));
+
+        if (levels.every(level => isFinite(Number(level)))) {
+            levels.sort((a, b) => Number(a) - Number(b));
+        }
+        return levels;
+    }
+
+    getLevelName(level) {
+        return this.localize(this.getLevelOptions(level).name) || this.getText('level', { level });
+    }
+
+    // Panorama the level switcher jumps to: the configured one or the first on that level
+    getLevelStartPanorama(level) {
+        const configured = this.getLevelOptions(level).startPanorama;
+        if (configured && this.config.panoramas[configured]) return configured;
+        return Object.keys(this.config.panoramas).find(panoId => this.getPanoramaLevel(this.config.panoramas[panoId]) === level);
+    }
+
+    // 'up' or 'down' when a waypoint target is on another level than the current panorama
+    getLevelChange(targetPanoId) {
+        const from = this.getPanoramaLevel(this.config.panoramas[this.currentPanoId]);
+        const to = this.getPanoramaLevel(this.config.panoramas[targetPanoId]);
+        if (from === null || to === null || from === to) return null;
+        const levels = this.getLevels();
+        return levels.indexOf(to) > levels.indexOf(from) ? 'up' : 'down';
+    }
+
+    renderLevelSwitcher() {
+        this.levelButtons = {};
+        if (!this.levelsEl) return;
+
+        const levels = this.getLevels();
+        this.levelsEl.innerHTML = '';
+        if (!this.config.showLevelSwitcher || levels.length < 2) {
+            this.levelsEl.style.display = 'none';
+            return;
+        }
+        this.levelsEl.style.display = 'flex';
+        this.levelsEl.setAttribute('role', 'group');
+        this.levelsEl.setAttribute('aria-label', this.getText('levels'));
+
+        // Top floor first, like an elevator panel
+        levels.slice().reverse().forEach(level => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'street-js-level-btn';
+            button.textContent = this.localize(this.getLevelOptions(level).shortName) || level;
+            button.title = this.getLevelName(level);
+            button.addEventListener('pointerdown', (e) => e.stopPropagation());
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const panoId = this.getLevelStartPanorama(level);
+                if (panoId && this.getPanoramaLevel(this.config.panoramas[this.currentPanoId]) !== level) {
+                    this.goTo(panoId).catch(() => {});
+                }
+            });
+            this.levelsEl.appendChild(button);
+            this.levelButtons[level] = button;
+        });
+        this.updateLevelSwitcher();
+    }
+
+    updateLevelSwitcher() {
+        const level = this.getPanoramaLevel(this.config.panoramas[this.currentPanoId]);
+        Object.keys(this.levelButtons).forEach(key => {
+            this.levelButtons[key].classList.toggle('current', key === level);
+        });
+    }
+
     updateWaypoints() {
         const pano = this.config.panoramas[this.currentPanoId];
         if (!pano || !pano.scaledWidth) return;
 
-        const viewWidth = this.element.clientWidth;
-
         // Reset edge indicators
         let hasLeftWaypoints = false;
         let hasRightWaypoints = false;
@@ -906,104 +3908,140 @@ class StreetJS {
             const waypointData = waypoint.data;
             const waypointCenterPx = (waypointData.fromPx + waypointData.toPx) / 2;
 
-            // Calculate the visual position based on rotation
-            const primaryPosition = waypointCenterPx - this.backgroundPositionX;
-            
-            // Check if waypoint should be visible in any of its possible positions
-            // (original, shifted right by panorama width, shifted left by panorama width)
-            const positions = [
-                primaryPosition,
-                primaryPosition + pano.scaledWidth,
-                primaryPosition - pano.scaledWidth
-            ];
-
-            // Find the best position for the waypoint
-            let bestPosition = null;
-            let bestDistance = Infinity;
-            
-            for (const pos of positions) {
-                if (pos >= -50 && pos < viewWidth + 50) { // Slightly extend visibility beyond edges
-                    const distance = Math.abs(pos - viewWidth / 2); // Distance from center of view
-                    if (distance < bestDistance) {
-                        bestDistance = distance;
-                        bestPosition = pos;
-                    }
-                }
-            }
+            // Calculate the visual position based on rotation and pitch
+            const location = this.locateInView(waypointCenterPx, this.getWaypointPositionY(waypointData));
+            this.placeMarker(waypoint, location);
 
-            if (bestPosition !== null) {
-                // Waypoint is visible - update position without transition
-                waypoint.element.style.left = `${bestPosition}px`;
-                
-                // Apply vertical position based on height parameter
-                if (waypointData.height !== undefined) {
-                    waypoint.element.style.top = `${waypointData.height}%`;
-                } else {
-                    waypoint.element.style.top = '50%'; // Default to middle if not specified
-                }
-                
-                // Make waypoint visible with proper opacity transition (but not position)
-                if (waypoint.element.style.display === 'none') {
-                    waypoint.element.style.opacity = '0';
-                    waypoint.element.style.display = 'flex';
-                    // Use setTimeout to ensure the display change has taken effect before starting the opacity transition
-                    setTimeout(() => {
-                        waypoint.element.style.opacity = '1';
-                    }, 10);
-                } else {
-                    waypoint.element.style.opacity = '1';
+            if (!location.visible) {
+                // Collect it for the edge indicator on its side
+                if (location.side && this.config.panoramas[waypointData.to]) {
+                    const names = location.side === 'left' ? leftWaypointNames : rightWaypointNames;
+                    names.push({
+                        name: this.localize(waypoint.source.label || this.config.panoramas[waypointData.to].name) || waypointData.to,
+                        distance: location.distance,
+                        levelChange: this.getLevelChange(waypointData.to)
+                    });
                 }
-                
-                // Adjust waypoint z-index based on distance from center for 3D effect
-                const zIndex = Math.round(100 - bestDistance / 10);
-                waypoint.element.style.zIndex = Math.max(1, zIndex);
-                
-                // Remove any transform scale that was previously applied
-                // Just keep the centering translation with scale if specified
-                const baseTransform = 'translate(-50%, -50%)';
-                const scale = waypoint.data.scale !== undefined ? waypoint.data.scale : 1;
-                waypoint.element.style.transform = scale !== 1 ? `${baseTransform} scale(${scale})` : baseTransform;
-            } else {
-                // Waypoint is not visible
-                waypoint.element.style.opacity = '0';
-                // Use setTimeout to hide after fade out
-                setTimeout(() => {
-                    if (parseFloat(waypoint.element.style.opacity) === 0) {
-                        waypoint.element.style.display = 'none';
-                    }
-                }, 300);
-                
-                // Determine if it's to the left or right for edge indicators
-                let direction = null;
-                for (const pos of positions) {
-                    if (pos < 0) {
-                        direction = 'left';
-                        hasLeftWaypoints = true;
-                        if (this.config.panoramas[waypointData.to]) {
-                            leftWaypointNames.push({
-                                name: waypointData.label || this.config.panoramas[waypointData.to].name,
-                                distance: Math.abs(pos)
-                            });
-                        }
-                        break;
-                    } else if (pos >= viewWidth) {
-                        direction = 'right';
-                        hasRightWaypoints = true;
-                        if (this.config.panoramas[waypointData.to]) {
-                            rightWaypointNames.push({
-                                name: waypointData.label || this.config.panoramas[waypointData.to].name,
-                                distance: Math.abs(pos - viewWidth)
-                            });
-                        }
-                        break;
-                    }
+                if (location.side === 'left') {
+                    hasLeftWaypoints = true;
+                } else if (location.side === 'right') {
+                    hasRightWaypoints = true;
                 }
             }
         });
 
+        // Hotspots share the placement but are not locations to walk to, so no edge indicators
+        this.currentHotspots.forEach(hotspot => {
+            const hotspotCenterPx = (hotspot.data.fromPx + hotspot.data.toPx) / 2;
+            hotspot.location = this.locateInView(hotspotCenterPx, this.getWaypointPositionY(hotspot.data));
+            this.placeMarker(hotspot, hotspot.location);
+        });
+        this.updateHotspotPopup();
+
         // Update edge indicators with enhanced information
         this.updateEdgeIndicator(this.edgeIndicators.left, hasLeftWaypoints, leftWaypointNames, 'left');
         this.updateEdgeIndicator(this.edgeIndicators.right, hasRightWaypoints, rightWaypointNames, 'right');
+        this.updateEditExtent();
+    }
+
+    // Show a waypoint or hotspot element at the position found by locateInView(), or fade it out
+    placeMarker(marker, location) {
+        if (location.visible) {
+            // Marker is visible - update position without transition
+            marker.element.style.left = `${location.x}px`;
+            marker.element.style.top = `${location.y}px`;
+            
+            // Make marker visible with proper opacity transition (but not position)
+            if (marker.element.style.display === 'none') {
+                marker.element.style.opacity = '0';
+                marker.element.style.display = 'flex';
+                // Use a timer to ensure the display change has taken effect before starting the opacity transition
+                this.setTimer(() => {
+                    marker.element.style.opacity = '1';
+                }, 10);
+            } else {
+                marker.element.style.opacity = '1';
+            }
+            
+            // Adjust marker z-index based on distance from center for 3D effect
+            const zIndex = Math.round(100 - location.distance / 10);
+            marker.element.style.zIndex = Math.max(1, zIndex);
+            
+            // Remove any transform scale that was previously applied
+            // Just keep the centering translation with scale if specified
+            const baseTransform = 'translate(-50%, -50%)';
+            const scale = marker.data.scale !== undefined ? marker.data.scale : 1;
+            marker.element.style.transform = scale !== 1 ? `${baseTransform} scale(${scale})` : baseTransform;
+        } else {
+            // Marker is not visible
+            marker.element.style.opacity = '0';
+            // Use a timer to hide after fade out
+            this.setTimer(() => {
+                if (parseFloat(marker.element.style.opacity) === 0) {
+                    marker.element.style.display = 'none';
+                }
+            }, 300);
+        }
+    }
+
+    // Where a point of the scaled panorama image (px, py) appears in the viewer.
+    // Returns { visible, x, y, distance } for points in view (distance from the view center)
+    // and { visible: false, side, distance } otherwise, side being 'left', 'right' or null
+    // for points only above or below the view (distance from the nearest edge).
+    locateInView(px, py) {
+        const pano = this.config.panoramas[this.currentPanoId];
+        const viewWidth = this.element.clientWidth;
+        const viewHeight = this.element.clientHeight;
+
+        if (this.renderMode === 'webgl') {
+            return this.locateInSphereView(pano, px, py, viewWidth, viewHeight);
+        }
+
+        // Vertical position follows the pitch
+        const y = py - this.backgroundPositionY;
+        const isVerticallyVisible = y >= -50 && y < viewHeight + 50;
+
+        // Calculate the visual position based on rotation
+        const primaryPosition = px - this.backgroundPositionX;
+        
+        // Check if the point should be visible in any of its possible positions
+        // (original, shifted right by panorama width, shifted left by panorama width)
+        const positions = [
+            primaryPosition,
+            primaryPosition + pano.scaledWidth,
+            primaryPosition - pano.scaledWidth
+        ];
+
+        // Find the best position for the point
+        let bestPosition = null;
+        let bestDistance = Infinity;
+        
+        for (const pos of positions) {
+            if (pos >= -50 && pos < viewWidth + 50) { // Slightly extend visibility beyond edges
+                const distance = Math.abs(pos - viewWidth / 2); // Distance from center of view
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    bestPosition = pos;
+                }
+            }
+        }
+
+        if (bestPosition !== null) {
+            // A point that is only above or below the view has no side
+            return isVerticallyVisible
+                ? { visible: true, x: bestPosition, y, distance: bestDistance }
+                : { visible: false, side: null, distance: 0 };
+        }
+
+        // Determine if it's to the left or right
+        for (const pos of positions) {
+            if (pos < 0) {
+                return { visible: false, side: 'left', distance: Math.abs(pos) };
+            } else if (pos >= viewWidth) {
+                return { visible: false, side: 'right', distance: Math.abs(pos - viewWidth) };
+            }
+        }
+        return { visible: false, side: null, distance: 0 };
     }
 
     updateEdgeIndicator(indicator, hasWaypoints, waypointsList, direction) {
@@ -1026,14 +4064,21 @@ class StreetJS {
             // Create enhanced tooltip content with count and list
             const tooltipContent = `
                 <div class="street-js-tooltip-count">
-                    ${waypointsList.length} ${waypointsList.length === 1 ? 'location' : 'locations'} ${direction === 'left' ? 'to the left' : 'to the right'}
+                    ${this.getText(direction === 'left' ? 'locationsLeft' : 'locationsRight', { count: waypointsList.length })}
                 </div>
                 <div class="street-js-tooltip-list">
-                    ${waypointsList.map(wp => wp.name).join(' • ')}
+                    ${waypointsList.map(wp => wp.levelChange
+                        ? `${wp.name} <span class="street-js-tooltip-level">${wp.levelChange === 'up' ? '↑' : '↓'}</span>`
+                        : wp.name).join(' • ')}
                 </div>
             `;
             
             tooltip.innerHTML = tooltipContent;
+            tooltip.setAttribute('aria-hidden', 'true');
+            indicator.setAttribute('aria-label', `${this.getText(direction === 'left' ? 'turnLeft' : 'turnRight')}: ${waypointsList.map(wp => wp.name).join(', ')}`);
+            
+            // Set floor-changing locations apart from the ones on this floor
+            indicator.classList.toggle('level-change', waypointsList.some(wp => wp.levelChange));
             
             // Add pulse animation for the edge indicator to draw attention
             indicator.classList.add('pulse');
@@ -1041,17 +4086,15 @@ class StreetJS {
     }
 
     loadPanorama(panoId, initialAngle = null, fromWaypoint = null) {
-        if (this.isTransitioning || this.isZoomTransitioning) return;
+        if (this.destroyed || this.isTransitioning || this.isZoomTransitioning) return;
         
-        // If already loaded, just update the angle
-        if (this.currentPanoId === panoId && initialAngle !== null && !fromWaypoint) {
-            const panoData = this.config.panoramas[panoId];
-            if (panoData && panoData.scaledWidth) {
-                const viewWidth = this.element.clientWidth;
-                const centerPx = (initialAngle / 360) * panoData.scaledWidth;
-                this.backgroundPositionX = centerPx - (viewWidth / 2);
-                this.updateRotation();
-            }
+        // If already loaded, just update the angle (a panorama whose image failed has no geometry and loads again)
+        const currentPano = this.config.panoramas[this.currentPanoId];
+        if (this.currentPanoId === panoId && initialAngle !== null && !fromWaypoint && currentPano && currentPano.scaledWidth) {
+            const viewWidth = this.element.clientWidth;
+            const centerPx = (initialAngle / 360) * currentPano.scaledWidth;
+            this.backgroundPositionX = centerPx - (viewWidth / 2);
+            this.updateRotation();
             return;
         }
         
@@ -1068,19 +4111,38 @@ class StreetJS {
             this.showLoading();
         }
         
-        this.isTransitioning = true;
+        this.beginTransition(panoId, 'fade');
         
         // Fade out current panorama if exists
         if (this.currentPanoId) {
             this.panoramaEl.style.opacity = '0';
-            setTimeout(() => this.loadNewPanorama(panoId, initialAngle, isPreloaded), 500);
+            this.setTimer(() => this.loadNewPanorama(panoId, initialAngle, isPreloaded), 500);
         } else {
             this.loadNewPanorama(panoId, initialAngle, isPreloaded);
         }
     }
 
+    beginTransition(panoId, transition) {
+        if (transition === 'zoom') {
+            this.isZoomTransitioning = true;
+        } else {
+            this.isTransitioning = true;
+        }
+        this.emit('transitionstart', { panoId, fromPanoId: this.currentPanoId, transition });
+    }
+
+    endTransition() {
+        const wasTransitioning = this.isTransitioning || this.isZoomTransitioning;
+        this.isZoomTransitioning = false;
+        this.isTransitioning = false;
+        if (wasTransitioning) {
+            this.emit('transitionend', { panoId: this.currentPanoId, heading: this.getHeading() });
+        }
+        this.processNavigationQueue();
+    }
+
     startZoomTransition(targetPanoId, initialAngle, waypointData) {
-        this.isZoomTransitioning = true;
+        this.beginTransition(targetPanoId, 'zoom');
         
         // Add clicked class to waypoint for immediate feedback
         const clickedWaypoint = this.currentWaypoints.find(wp => wp.data.to === targetPanoId);
@@ -1093,6 +4155,7 @@ class StreetJS {
         
         // Calculate zoom target position
         const waypointCenterPx = (waypointData.fromPx + waypointData.toPx) / 2;
+        const waypointCenterPy = this.getWaypointPositionY(waypointData);
         const viewWidth = this.element.clientWidth;
         const viewHeight = this.element.clientHeight;
         
@@ -1102,16 +4165,19 @@ class StreetJS {
         // Add zoom transition class
         this.panoramaEl.classList.add('zoom-transition');
         
-        // First, smoothly rotate to center the waypoint
+        // First, smoothly rotate to center the waypoint (as far as the pitch range allows)
+        this.isAnimating = false;
         this.backgroundPositionX = targetBackgroundX;
-        this.panoramaEl.style.backgroundPositionX = `-${this.backgroundPositionX}px`;
+        this.backgroundPositionY = this.clampPositionY(waypointCenterPy - viewHeight / 2);
+        this.renderPanorama();
         
         // Then zoom in with a slight delay
-        setTimeout(() => {
+        this.setTimer(() => {
             // Calculate zoom scale and translation
             const zoomScale = 2.5;
-            const waypointViewX = waypointCenterPx - this.backgroundPositionX;
-            const waypointViewY = (waypointData.height || 50) * viewHeight / 100;
+            const waypointView = this.locateInView(waypointCenterPx, waypointCenterPy);
+            const waypointViewX = waypointView.visible ? waypointView.x : viewWidth / 2;
+            const waypointViewY = waypointView.visible ? waypointView.y : viewHeight / 2;
             
             // Calculate translation to keep waypoint centered during zoom
             const translateX = (viewWidth / 2 - waypointViewX) * (zoomScale - 1) / zoomScale;
@@ -1121,11 +4187,11 @@ class StreetJS {
             this.panoramaEl.style.transform = `scale(${zoomScale}) translate(${translateX}px, ${translateY}px)`;
             
             // Start fading out after zoom begins
-            setTimeout(() => {
+            this.setTimer(() => {
                 this.panoramaEl.style.opacity = '0';
                 
                 // Load new panorama after fade out
-                setTimeout(() => {
+                this.setTimer(() => {
                     this.loadNewPanoramaWithZoom(targetPanoId, initialAngle);
                 }, 300);
             }, 400);
@@ -1136,32 +4202,42 @@ class StreetJS {
         // Check if panorama is already loaded
         const isPreloaded = this.loadedPanoramas.has(panoId);
         
-        if (!isPreloaded) {
-            this.showLoading();
-        }
-        
+        const previousPanoId = this.currentPanoId;
         this.currentPanoId = panoId;
         const panoData = this.config.panoramas[panoId];
+        this.emit('loadstart', { panoId, previousPanoId });
         
         // Clear current waypoints
+        this.closeHotspotPopup();
         this.waypointsEl.innerHTML = '';
         this.currentWaypoints = [];
+        this.currentHotspots = [];
         
         // Create edge indicators
         this.createEdgeIndicators();
         
+        // A preview is only worth it while the full image isn't cached yet
+        const url = this.getPanoramaUrl(panoData);
+        const previewUrl = isPreloaded ? null : panoData.previewUrl;
+        const token = ++this.imageLoadToken;
+        if (!isPreloaded) {
+            this.showLoading();
+        }
+        
         const img = new Image();
+        if (this.renderMode === 'webgl') {
+            // WebGL can only sample images that are same-origin or served with CORS headers
+            img.crossOrigin = 'anonymous';
+        }
         img.onload = () => {
-            const originalWidth = panoData.width;
-            const originalHeight = (img.height / img.width) * originalWidth;
-
-            const containerHeight = this.element.clientHeight;
-            const scaledWidth = (containerHeight / originalHeight) * originalWidth;
-            panoData.scaledWidth = scaledWidth;
+            if (this.destroyed) return;
+            const scaledWidth = this.applyImageGeometry(panoData, img);
+            // Start level with the horizon
+            this.backgroundPositionY = this.getMaxPositionY() / 2;
 
             // Reset transform and prepare for new panorama
             this.panoramaEl.style.transform = 'scale(1.2)'; // Start slightly zoomed
-            this.panoramaEl.style.backgroundImage = `url('${panoData.url}')`;
+            this.setPanoramaImage(panoData, img);
 
             if (initialAngle !== null) {
                 const viewWidth = this.element.clientWidth;
@@ -1171,131 +4247,91 @@ class StreetJS {
                 this.backgroundPositionX = 0;
             }
             
-            this.panoramaEl.style.backgroundPositionX = `-${this.backgroundPositionX}px`;
+            this.renderPanorama();
 
             // Fade in new panorama and zoom out to normal scale
-            setTimeout(() => {
+            this.setTimer(() => {
                 this.panoramaEl.style.opacity = '1';
                 this.panoramaEl.style.transform = 'scale(1)';
                 
                 // Remove transition class and show waypoints after animation
-                setTimeout(() => {
+                this.setTimer(() => {
                     this.panoramaEl.classList.remove('zoom-transition');
                     this.waypointsEl.classList.remove('transitioning');
-                    this.isZoomTransitioning = false;
-                    this.isTransitioning = false;
+                    this.endTransition();
                 }, 800);
             }, 50);
 
             // Create waypoints
-            if (panoData.waypoints) {
-                const scaleRatio = scaledWidth / originalWidth;
-                panoData.waypoints.forEach(waypoint => {
-                    const waypointEl = document.createElement('div');
-                    waypointEl.className = 'street-js-waypoint';
-
-                    // Add icon
-                    if (waypoint.icon) {
-                        if (typeof waypoint.icon === 'string' && this.getBuiltInIcon(waypoint.icon)) {
-                            waypointEl.innerHTML = this.getBuiltInIcon(waypoint.icon);
-                        } else {
-                            waypointEl.innerHTML = `<img src="${waypoint.icon}" alt="Waypoint">`;
-                        }
-                    } else {
-                        waypointEl.innerHTML = this.getBuiltInIcon('waypoint');
-                    }
-
-                    // Add tooltip
-                    const tooltip = document.createElement('div');
-                    tooltip.className = 'street-js-tooltip';
-                    
-                    const labelText = waypoint.label || 
-                        (this.config.panoramas[waypoint.to] ? 
-                            this.config.panoramas[waypoint.to].name : 
-                            waypoint.to);
-                            
-                    tooltip.textContent = labelText;
-                    waypointEl.appendChild(tooltip);
-
-                    const scaledWaypoint = {
-                        to: waypoint.to,
-                        fromPx: waypoint.fromPx * scaleRatio,
-                        toPx: waypoint.toPx * scaleRatio,
-                        height: waypoint.height !== undefined ? waypoint.height : 50,
-                        direction: waypoint.direction,
-                        scale: waypoint.scale !== undefined ? Math.max(0.1, Math.min(10, waypoint.scale)) : 1
-                    };
-
-                    // Apply custom scale if specified
-                    if (scaledWaypoint.scale !== 1) {
-                        waypointEl.style.transform = `translate(-50%, -50%) scale(${scaledWaypoint.scale})`;
-                    }
+            this.createWaypoints(panoData);
+            this.createHotspots(panoData);
 
-                    waypointEl.addEventListener('click', (e) => {
-                        e.stopPropagation();
-                        
-                        if (this.isZoomTransitioning || this.isTransitioning) return;
-                        
-                        if (waypoint.direction !== undefined) {
-                            const forcedAngle = (waypoint.direction / 100) * 360;
-                            this.loadPanorama(waypoint.to, forcedAngle, scaledWaypoint);
-                        } else {
-                            const currentPano = this.config.panoramas[this.currentPanoId];
-                            const viewWidth = this.element.clientWidth;
-                            const centerPx = this.backgroundPositionX + viewWidth / 2;
-                            const angle = (centerPx / currentPano.scaledWidth) * 360;
-                            this.loadPanorama(waypoint.to, angle, scaledWaypoint);
-                        }
-                    });
-
-                    this.waypointsEl.appendChild(waypointEl);
-                    this.currentWaypoints.push({ element: waypointEl, data: scaledWaypoint });
-                });
+            // Mark as loaded, a preview only counts once the full image replaces it
+            if (!previewUrl) {
+                this.loadedPanoramas.add(panoId);
             }
-
-            // Mark as loaded
-            this.loadedPanoramas.add(panoId);
             
             this.updateRotation();
             this.hideLoading();
             this.updateInfoPanel(); // <--- update info panel on panorama load
+            this.emitPanoramaLoaded(panoId, previousPanoId);
+            this.preloadNeighbours();
+            if (previewUrl) {
+                this.loadFullResolution(panoId, url, token);
+            }
         };
         
         img.onerror = () => {
-            console.error(`StreetJS: Failed to load panorama: ${panoData.url}`);
+            if (this.destroyed) return;
+            console.error(`StreetJS: Failed to load panorama: ${img.src}`);
             this.showError(this.getText('error'));
             this.hideLoading();
-            this.isZoomTransitioning = false;
-            this.isTransitioning = false;
             this.panoramaEl.classList.remove('zoom-transition');
             this.waypointsEl.classList.remove('transitioning');
+            this.emit('error', { panoId, url: img.src, message: this.getText('error') });
+            this.endTransition();
         };
         
-        img.src = panoData.url;
+        this.panoramaEl.classList.toggle('preview', !!previewUrl);
+        img.src = previewUrl || url;
     }
     
     loadNewPanorama(panoId, initialAngle, isPreloaded = false) {
+        const previousPanoId = this.currentPanoId;
         this.currentPanoId = panoId;
         const panoData = this.config.panoramas[panoId];
+        this.emit('loadstart', { panoId, previousPanoId });
         
         // Clear current waypoints
+        this.closeHotspotPopup();
         this.waypointsEl.innerHTML = '';
         this.currentWaypoints = [];
+        this.currentHotspots = [];
         
         // Create edge indicators
         this.createEdgeIndicators();
         
+        const url = this.getPanoramaUrl(panoData);
+        const previewUrl = isPreloaded ? null : panoData.previewUrl;
+        const token = ++this.imageLoadToken;
+        
         const img = new Image();
+        if (this.renderMode === 'webgl') {
+            // WebGL can only sample images that are same-origin or served with CORS headers
+            img.crossOrigin = 'anonymous';
+        }
+        let handled = false;
         img.onload = () => {
-            const originalWidth = panoData.width;
-            const originalHeight = (img.height / img.width) * originalWidth;
+            // The cached-image shortcut below may fire this a second time
+            if (this.destroyed || handled) return;
+            handled = true;
+            const scaledWidth = this.applyImageGeometry(panoData, img);
+            // Start level with the horizon
+            this.backgroundPositionY = this.getMaxPositionY() / 2;
 
-            const containerHeight = this.element.clientHeight;
-            const scaledWidth = (containerHeight / originalHeight) * originalWidth;
-            panoData.scaledWidth = scaledWidth;
-
-            this.panoramaEl.style.backgroundImage = `url('${panoData.url}')`;
+            this.setPanoramaImage(panoData, img);
             this.panoramaEl.style.opacity = '1';
+            this.hideError();
 
             if (initialAngle !== null) {
                 const viewWidth = this.element.clientWidth;
@@ -1305,119 +4341,490 @@ class StreetJS {
                 this.backgroundPositionX = 0;
             }
 
-            if (panoData.waypoints) {
-                const scaleRatio = scaledWidth / originalWidth;
-                panoData.waypoints.forEach(waypoint => {
-                    const waypointEl = document.createElement('div');
-                    waypointEl.className = 'street-js-waypoint';
-
-                    // Add icon
-                    if (waypoint.icon) {
-                        if (typeof waypoint.icon === 'string' && this.getBuiltInIcon(waypoint.icon)) {
-                            waypointEl.innerHTML = this.getBuiltInIcon(waypoint.icon);
-                        } else {
-                            waypointEl.innerHTML = `<img src="${waypoint.icon}" alt="Waypoint">`;
-                        }
-                    } else {
-                        waypointEl.innerHTML = this.getBuiltInIcon('waypoint');
-                    }
-
-                    // Add tooltip
-                    const tooltip = document.createElement('div');
-                    tooltip.className = 'street-js-tooltip';
-                    
-                    const labelText = waypoint.label || 
-                        (this.config.panoramas[waypoint.to] ? 
-                            this.config.panoramas[waypoint.to].name : 
-                            waypoint.to);
-                            
-                    tooltip.textContent = labelText;
-                    waypointEl.appendChild(tooltip);
-
-                    const scaledWaypoint = {
-                        to: waypoint.to,
-                        fromPx: waypoint.fromPx * scaleRatio,
-                        toPx: waypoint.toPx * scaleRatio,
-                        height: waypoint.height !== undefined ? waypoint.height : 50,
-                        direction: waypoint.direction,
-                        scale: waypoint.scale !== undefined ? Math.max(0.1, Math.min(10, waypoint.scale)) : 1
-                    };
-
-                    // Apply custom scale if specified
-                    if (scaledWaypoint.scale !== 1) {
-                        waypointEl.style.transform = `translate(-50%, -50%) scale(${scaledWaypoint.scale})`;
-                    }
-
-                    waypointEl.addEventListener('click', (e) => {
-                        e.stopPropagation();
-                        
-                        if (this.isZoomTransitioning || this.isTransitioning) return;
-                        
-                        if (waypoint.direction !== undefined) {
-                            const forcedAngle = (waypoint.direction / 100) * 360;
-                            this.loadPanorama(waypoint.to, forcedAngle, scaledWaypoint);
-                        } else {
-                            const currentPano = this.config.panoramas[this.currentPanoId];
-                            const viewWidth = this.element.clientWidth;
-                            const centerPx = this.backgroundPositionX + viewWidth / 2;
-                            const angle = (centerPx / currentPano.scaledWidth) * 360;
-                            this.loadPanorama(waypoint.to, angle, scaledWaypoint);
-                        }
-                    });
+            this.createWaypoints(panoData);
+            this.createHotspots(panoData);
 
-                    this.waypointsEl.appendChild(waypointEl);
-                    this.currentWaypoints.push({ element: waypointEl, data: scaledWaypoint });
-                });
+            // Mark as loaded for future transitions, a preview only counts once the full image replaces it
+            if (!previewUrl) {
+                this.loadedPanoramas.add(panoId);
             }
-
-            // Mark as loaded for future transitions
-            this.loadedPanoramas.add(panoId);
             
             this.updateRotation();
             this.hideLoading();
-            this.isTransitioning = false;
             this.updateInfoPanel(); // <--- update info panel on panorama load
+            this.emitPanoramaLoaded(panoId, previousPanoId);
+            this.preloadNeighbours();
+            this.endTransition();
+            if (previewUrl) {
+                this.loadFullResolution(panoId, url, token);
+            }
         };
         
         img.onerror = () => {
-            console.error(`StreetJS: Failed to load panorama: ${panoData.url}`);
+            if (this.destroyed) return;
+            console.error(`StreetJS: Failed to load panorama: ${img.src}`);
             this.showError(this.getText('error'));
             this.hideLoading();
-            this.isTransitioning = false;
+            this.emit('error', { panoId, url: img.src, message: this.getText('error') });
+            this.endTransition();
         };
         
+        this.panoramaEl.classList.toggle('preview', !!previewUrl);
+        
         // If preloaded, set src from cache, otherwise load from URL
         if (isPreloaded) {
-            img.src = panoData.url;
+            img.src = url;
             // For preloaded images, we can often trigger onload immediately 
             // by setting a timeout as the browser might have the image cached
-            setTimeout(() => {
-                if (img.complete) {
+            this.setTimer(() => {
+                if (img.complete && !handled) {
                     img.onload();
                 }
             }, 50);
         } else {
-            img.src = panoData.url;
+            img.src = previewUrl || url;
         }
     }
 
-    getBuiltInIcon(iconName) {
-        const icons = {
-            waypoint: `<svg viewBox="0 0 24 24"><path d="M12 2C8.13 2 5 5.13 5 9c0 5.25 7 13 7 13s7-7.75 7-13c0-3.87-3.13-7-7-7zm0 9.5c-1.38 0-2.5-1.12-2.5-2.5s1.12-2.5 2.5-2.5 2.5 1.12 2.5 2.5-1.12 2.5-2.5 2.5z" fill="white"/></svg>`,
-            door: `<svg viewBox="0 0 24 24"><path d="M19 19V5c0-1.1-.9-2-2-2H7c-1.1 0-2 .9-2 2v14H3v2h18v-2h-2zm-2 0H7V5h10v14zm-4-8h2v2h-2v-2z" fill="white"/></svg>`,
-            stairsUp: `<svg viewBox="0 0 24 24"><path d="M11 20V7.825L5.4 13.425L4 12L12 4L20 12L18.6 13.425L13 7.825V20H11Z" fill="white"/></svg>`,
-            stairsDown: `<svg viewBox="0 0 24 24"><path d="M11 4V16.175L5.4 10.575L4 12L12 20L20 12L18.6 10.575L13 16.175V4H11Z" fill="white"/></svg>`,
-            info: `<svg viewBox="0 0 24 24"><path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm1 15h-2v-6h2v6zm0-8h-2V7h2v2z" fill="white"/></svg>`,
-            point: `<svg viewBox="0 0 24 24"><path d="M12 15C12.8333 15 13.5417 14.7083 14.125 14.125C14.7083 13.5417 15 12.8333 15 12C15 11.1667 14.7083 10.4583 14.125 9.875C13.5417 9.29167 12.8333 9 12 9C11.1667 9 10.4583 9.29167 9.875 9.875C9.29167 10.4583 9 11.1667 9 12C9 12.8333 9.29167 13.5417 9.875 14.125C10.4583 14.7083 11.1667 15 12 15ZM12 22C10.6167 22 9.31667 21.7375 8.1 21.2125C6.88333 20.6875 5.825 19.975 4.925 19.075C4.025 18.175 3.3125 17.1167 2.7875 15.9C2.2625 14.6833 2 13.3833 2 12C2 10.6167 2.2625 9.31667 2.7875 8.1C3.3125 6.88333 4.025 5.825 4.925 4.925C5.825 4.025 6.88333 3.3125 8.1 2.7875C9.31667 2.2625 10.6167 2 12 2C13.3833 2 14.6833 2.2625 15.9 2.7875C17.1167 3.3125 18.175 4.025 19.075 4.925C19.975 5.825 20.6875 6.88333 21.2125 8.1C21.7375 9.31667 22 10.6167 22 12C22 13.3833 21.7375 14.6833 21.2125 15.9C20.6875 17.1167 19.975 18.175 19.075 19.075C18.175 19.975 17.1167 20.6875 15.9 21.2125C14.6833 21.7375 13.3833 22 12 22ZM12 20C14.2333 20 16.125 19.225 17.675 17.675C19.225 16.125 20 14.2333 20 12C20 9.76667 19.225 7.875 17.675 6.325C16.125 4.775 14.2333 4 12 4C9.76667 4 7.875 4.775 6.325 6.325C4.775 7.875 4 9.76667 4 12C4 14.2333 4.775 16.125 6.325 17.675C7.875 19.225 9.76667 20 12 20Z" fill="white"/></svg>`,
-            arrowLeft: '<svg viewBox="0 0 24 24"><path d="M17.5873 19.9919V9.99194H8.41228L12.0123 13.5919L10.6123 15.0169L4.58728 8.99194L10.5873 2.99194L12.0123 4.41694L8.41228 7.99194H19.5873V19.9919H17.5873Z" fill="white"/></svg>',
-            arrowRight: '<svg viewBox="0 0 24 24"><path d="M7.58728 19.9919V9.99194H16.7623L13.1623 13.5919L14.5623 15.0169L20.5873 8.99194L14.5873 2.99194L13.1623 4.41694L16.7623 7.99194H5.58728V19.9919H7.58728Z" fill="white"/></svg>',
+    // Swap the blurred preview for the full image once it arrives, keeping the view and waypoints
+    loadFullResolution(panoId, url, token) {
+        const panoData = this.config.panoramas[panoId];
+        const img = new Image();
+        if (this.renderMode === 'webgl') {
+            img.crossOrigin = 'anonymous';
+        }
+        img.onload = () => {
+            // Navigated elsewhere in the meantime
+            if (this.destroyed || token !== this.imageLoadToken) return;
+
+            // Same image at a different size, only rounding can change the geometry
+            const previousWidth = panoData.scaledWidth;
+            this.applyImageGeometry(panoData, img);
+            if (Math.abs(panoData.scaledWidth - previousWidth) > 0.5) {
+                this.backgroundPositionX *= panoData.scaledWidth / previousWidth;
+                this.rescaleWaypoints();
+            }
+
+            this.setPanoramaImage(panoData, img);
+            this.panoramaEl.classList.remove('preview');
+            this.loadedPanoramas.add(panoId);
+            this.updateRotation();
+            this.emit('fullresolution', { panoId, url });
         };
-        
-        return icons[iconName] || icons.waypoint;
+        img.onerror = () => {
+            if (this.destroyed || token !== this.imageLoadToken) return;
+            // Keep showing the preview, sharp
+            console.error(`StreetJS: Failed to load panorama: ${url}`);
+            this.panoramaEl.classList.remove('preview');
+            this.emit('error', { panoId, url, message: this.getText('error') });
+        };
+        img.src = url;
+    }
+
+    // Image to load for a panorama. With `resolutions` ([{ url, height }]) the smallest one
+    // at least as tall as the rendered panorama on this screen, the largest otherwise.
+    getPanoramaUrl(panoData) {
+        const resolutions = (panoData.resolutions || []).filter(resolution => resolution.url && resolution.height);
+        if (!resolutions.length) return panoData.url;
+
+        const pixelRatio = window.devicePixelRatio || 1;
+        let neededHeight;
+        if (this.renderMode === 'webgl') {
+            // An equirectangular image is half as tall as the 360° strip shown at the current field of view
+            const fov = Math.min(170, Math.max(1, this.config.fov / this.zoom));
+            neededHeight = (this.element.clientWidth * 360 / fov) / 2;
+        } else {
+            neededHeight = this.element.clientHeight * Math.max(1, this.config.verticalOverscan) * this.zoom;
+        }
+        neededHeight *= pixelRatio;
+
+        const sorted = resolutions.slice().sort((a, b) => a.height - b.height);
+        return (sorted.find(resolution => resolution.height >= neededHeight) || sorted[sorted.length - 1]).url;
+    }
+
+    emitPanoramaLoaded(panoId, previousPanoId) {
+        const heading = this.getHeading();
+        this.emit('load', { panoId, heading, panorama: this.config.panoramas[panoId] });
+        if (previousPanoId !== panoId) {
+            this.emit('panoramachange', { panoId, previousPanoId, heading });
+            if (this.editMode) {
+                this.renderEditor();
+            }
+        }
+    }
+
+    // preload config merged over the defaults:
+    // concurrency - images fetched at the same time
+    // limit       - preloaded images kept at most, the least recently used are dropped
+    getPreloadOptions() {
+        return {
+            concurrency: 2,
+            limit: 8,
+            ...(typeof this.config.preload === 'object' ? this.config.preload : {})
+        };
+    }
+
+    // Fetch the panoramas the current one links to, the waypoint nearest the view center first
+    preloadNeighbours() {
+        if (!this.config.preload || this.destroyed) return;
+        const pano = this.config.panoramas[this.currentPanoId];
+        if (!pano || !pano.scaledWidth) return;
+
+        const options = this.getPreloadOptions();
+        const viewCenter = this.backgroundPositionX + this.element.clientWidth / 2;
+        const distanceFromCenter = (waypoint) => {
+            const offset = Math.abs((waypoint.data.fromPx + waypoint.data.toPx) / 2 - viewCenter) % pano.scaledWidth;
+            return Math.min(offset, pano.scaledWidth - offset);
+        };
+
+        const targets = [];
+        this.currentWaypoints
+            .filter(waypoint => this.config.panoramas[waypoint.data.to] && waypoint.data.to !== this.currentPanoId)
+            .sort((a, b) => distanceFromCenter(a) - distanceFromCenter(b))
+            .forEach(waypoint => {
+                if (!targets.includes(waypoint.data.to)) targets.push(waypoint.data.to);
+            });
+
+        // Waiting requests for the previous panorama's neighbours are no longer worth it
+        this.preloadQueue = [];
+        targets.slice(0, options.limit).forEach(panoId => {
+            if (this.preloadedImages.has(panoId)) {
+                // Mark as recently used so it survives the eviction of older ones
+                const img = this.preloadedImages.get(panoId);
+                this.preloadedImages.delete(panoId);
+                this.preloadedImages.set(panoId, img);
+            } else if (!this.preloadRequests.has(panoId)) {
+                this.preloadQueue.push(panoId);
+            }
+        });
+        this.processPreloadQueue();
+    }
+
+    processPreloadQueue() {
+        const { concurrency } = this.getPreloadOptions();
+        while (!this.destroyed && this.preloadRequests.size < concurrency && this.preloadQueue.length > 0) {
+            const panoId = this.preloadQueue.shift();
+            const panoData = this.config.panoramas[panoId];
+            if (!panoData) continue;
+
+            const img = new Image();
+            if (this.renderMode === 'webgl') {
+                img.crossOrigin = 'anonymous';
+            }
+            const done = (loaded) => {
+                if (this.preloadRequests.get(panoId) !== img) return;
+                this.preloadRequests.delete(panoId);
+                if (loaded) {
+                    this.preloadedImages.set(panoId, img);
+                    this.loadedPanoramas.add(panoId);
+                    this.evictPreloadedImages();
+                }
+                this.processPreloadQueue();
+            };
+            img.onload = () => done(true);
+            img.onerror = () => done(false);
+            this.preloadRequests.set(panoId, img);
+            img.src = this.getPanoramaUrl(panoData);
+        }
+    }
+
+    evictPreloadedImages() {
+        const { limit } = this.getPreloadOptions();
+        for (const panoId of this.preloadedImages.keys()) {
+            if (this.preloadedImages.size <= limit) break;
+            if (panoId === this.currentPanoId) continue;
+            this.preloadedImages.delete(panoId);
+            // Without a reference the browser may drop it, show the loading overlay again
+            this.loadedPanoramas.delete(panoId);
+        }
+    }
+
+    // Drop the pending request of one panorama, its image changed or it is gone
+    cancelPreload(panoId) {
+        const img = this.preloadRequests.get(panoId);
+        if (!img) return;
+        img.onload = null;
+        img.onerror = null;
+        img.src = '';
+        this.preloadRequests.delete(panoId);
+        this.processPreloadQueue();
+    }
+
+    cancelPreloading() {
+        this.preloadQueue = [];
+        this.preloadRequests.forEach(img => {
+            img.onload = null;
+            img.onerror = null;
+            img.src = '';
+        });
+        this.preloadRequests.clear();
+    }
+
+    createWaypoints(panoData) {
+        if (!panoData.waypoints) return;
+
+        const scaleRatio = panoData.scaledWidth / panoData.width;
+        // Tab through waypoints clockwise from north
+        const north = this.getNorthOffset(panoData);
+        const headingOf = (waypoint) => ((((waypoint.fromPx + waypoint.toPx) / 2 / panoData.width) * 360 - north) % 360 + 360) % 360;
+        panoData.waypoints.slice().sort((a, b) => headingOf(a) - headingOf(b)).forEach(waypoint => {
+            const waypointEl = document.createElement('button');
+            waypointEl.type = 'button';
+            waypointEl.className = 'street-js-waypoint';
+
+            // Add icon
+            waypointEl.innerHTML = this.getMarkerIconHtml(waypoint.icon, 'waypoint');
+
+            // Add tooltip
+            const tooltip = document.createElement('div');
+            tooltip.className = 'street-js-tooltip';
+            
+            const labelText = this.localize(waypoint.label || 
+                (this.config.panoramas[waypoint.to] ? 
+                    this.config.panoramas[waypoint.to].name : 
+                    waypoint.to)) || waypoint.to;
+                    
+            tooltip.textContent = labelText;
+            tooltip.setAttribute('aria-hidden', 'true');
+            waypointEl.appendChild(tooltip);
+
+            const targetLevel = this.getLevelChange(waypoint.to)
+                ? this.getPanoramaLevel(this.config.panoramas[waypoint.to])
+                : null;
+            waypointEl.setAttribute('aria-label', targetLevel !== null ? `${labelText}, ${this.getLevelName(targetLevel)}` : labelText);
+
+            const scaledWaypoint = {
+                to: waypoint.to,
+                fromPx: waypoint.fromPx * scaleRatio,
+                toPx: waypoint.toPx * scaleRatio,
+                height: waypoint.height !== undefined ? waypoint.height : 50,
+                direction: waypoint.direction,
+                scale: waypoint.scale !== undefined ? Math.max(0.1, Math.min(10, waypoint.scale)) : 1
+            };
+
+            // Apply custom scale if specified
+            if (scaledWaypoint.scale !== 1) {
+                waypointEl.style.transform = `translate(-50%, -50%) scale(${scaledWaypoint.scale})`;
+            }
+
+            if (this.editMode && waypoint === this.getEditWaypoint()) {
+                waypointEl.classList.add('selected');
+            }
+            // In edit mode waypoints are dragged around instead of walked through
+            waypointEl.addEventListener('pointerdown', (e) => {
+                if (!this.editMode) return;
+                e.stopPropagation();
+                this.startEditDrag(e, waypoint, 'move');
+            });
+
+            waypointEl.addEventListener('click', (e) => {
+                e.stopPropagation();
+                
+                if (this.editMode) {
+                    this.selectEditWaypoint(panoData.waypoints.indexOf(waypoint));
+                    return;
+                }
+                if (this.isZoomTransitioning || this.isTransitioning) return;
+                
+                // The waypoint goes away with this panorama
+                if (document.activeElement === waypointEl) {
+                    this.element.focus();
+                }
+                
+                this.emit('waypointclick', {
+                    panoId: this.currentPanoId,
+                    heading: this.getHeading(),
+                    waypoint,
+                    source: 'scene'
+                });
+                
+                if (waypoint.direction !== undefined) {
+                    const forcedAngle = (waypoint.direction / 100) * 360;
+                    this.loadPanorama(waypoint.to, forcedAngle, scaledWaypoint);
+                } else {
+                    this.loadPanorama(waypoint.to, this.getViewAngle(), scaledWaypoint);
+                }
+            });
+
+            this.waypointsEl.appendChild(waypointEl);
+            this.currentWaypoints.push({ element: waypointEl, data: scaledWaypoint, source: waypoint });
+        });
+    }
+
+    // A registered icon name, an image URL (anything with a dot or slash) or the default icon
+    getMarkerIconHtml(icon, defaultIcon) {
+        if (icon && this.getIcon(icon)) {
+            return this.getIcon(icon);
+        }
+        if (typeof icon === 'string' && /[./]/.test(icon)) {
+            return `<img src="${icon.replace(/"/g, '&quot;')}" alt="">`;
+        }
+        // Unknown names are reported by StreetJS.validateConfig()
+        return this.getIcon(defaultIcon) || '';
+    }
+
+    // Informational markers: placed like waypoints but open a popup card instead of navigating
+    createHotspots(panoData) {
+        if (!panoData.hotspots) return;
+
+        const scaleRatio = panoData.scaledWidth / panoData.width;
+        panoData.hotspots.forEach(hotspot => {
+            const hotspotEl = document.createElement('button');
+            hotspotEl.type = 'button';
+            hotspotEl.className = 'street-js-waypoint street-js-hotspot';
+            hotspotEl.innerHTML = this.getMarkerIconHtml(hotspot.icon, 'info');
+
+            const labelText = this.localize(hotspot.label || hotspot.title);
+            if (labelText) {
+                const tooltip = document.createElement('div');
+                tooltip.className = 'street-js-tooltip';
+                tooltip.textContent = labelText;
+                tooltip.setAttribute('aria-hidden', 'true');
+                hotspotEl.appendChild(tooltip);
+                hotspotEl.setAttribute('aria-label', labelText);
+            }
+            hotspotEl.setAttribute('aria-haspopup', 'dialog');
+
+            const scaledHotspot = {
+                fromPx: hotspot.fromPx * scaleRatio,
+                toPx: hotspot.toPx * scaleRatio,
+                height: hotspot.height !== undefined ? hotspot.height : 50,
+                scale: hotspot.scale !== undefined ? Math.max(0.1, Math.min(10, hotspot.scale)) : 1
+            };
+
+            if (scaledHotspot.scale !== 1) {
+                hotspotEl.style.transform = `translate(-50%, -50%) scale(${scaledHotspot.scale})`;
+            }
+
+            const hotspotObj = { element: hotspotEl, data: scaledHotspot, source: hotspot, location: null };
+
+            hotspotEl.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (this.isZoomTransitioning || this.isTransitioning) return;
+
+                if (this.openHotspot === hotspotObj) {
+                    this.closeHotspotPopup();
+                    return;
+                }
+                this.emit('hotspotclick', {
+                    panoId: this.currentPanoId,
+                    heading: this.getHeading(),
+                    hotspot
+                });
+                this.openHotspotPopup(hotspotObj);
+            });
+
+            this.waypointsEl.appendChild(hotspotEl);
+            this.currentHotspots.push(hotspotObj);
+        });
+    }
+
+    openHotspotPopup(hotspotObj) {
+        this.closeHotspotPopup();
+        const hotspot = hotspotObj.source;
+
+        const popup = document.createElement('div');
+        popup.className = 'street-js-popup';
+
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'street-js-popup-close';
+        closeBtn.type = 'button';
+        closeBtn.setAttribute('aria-label', this.getText('close'));
+        closeBtn.textContent = '×';
+        closeBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.closeHotspotPopup();
+        });
+        popup.appendChild(closeBtn);
+
+        if (hotspot.image) {
+            const image = document.createElement('img');
+            image.className = 'street-js-popup-image';
+            image.src = hotspot.image;
+            image.alt = this.localize(hotspot.title) || '';
+            popup.appendChild(image);
+        }
+        if (hotspot.title) {
+            const title = document.createElement('div');
+            title.className = 'street-js-popup-title';
+            title.textContent = this.localize(hotspot.title);
+            popup.appendChild(title);
+        }
+        if (hotspot.content) {
+            // The hotspot's `content` is trusted HTML from the viewer configuration
+            const content = document.createElement('div');
+            content.className = 'street-js-popup-content';
+            content.innerHTML = this.localize(hotspot.content);
+            popup.appendChild(content);
+        }
+        if (hotspot.link) {
+            const link = document.createElement('a');
+            link.className = 'street-js-popup-link';
+            link.href = hotspot.link;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.textContent = this.localize(hotspot.linkText) || hotspot.link;
+            popup.appendChild(link);
+        }
+
+        // Keep drags and wheel inside the card from moving the panorama
+        popup.addEventListener('pointerdown', (e) => e.stopPropagation());
+        popup.addEventListener('wheel', (e) => e.stopPropagation());
+
+        this.element.appendChild(popup);
+        this.hotspotPopupEl = popup;
+        this.openHotspot = hotspotObj;
+        this.updateHotspotPopup();
+    }
+
+    closeHotspotPopup() {
+        if (!this.openHotspot) return;
+        const hotspot = this.openHotspot.source;
+        this.hotspotPopupEl.remove();
+        this.hotspotPopupEl = null;
+        this.openHotspot = null;
+        this.emit('hotspotclose', { panoId: this.currentPanoId, hotspot });
+    }
+
+    // Keep the popup anchored above its hotspot while the view moves
+    updateHotspotPopup() {
+        if (!this.openHotspot) return;
+        const location = this.openHotspot.location;
+        if (!location || !location.visible) {
+            this.hotspotPopupEl.style.display = 'none';
+            return;
+        }
+        this.hotspotPopupEl.style.display = 'block';
+        this.hotspotPopupEl.style.left = `${location.x}px`;
+        this.hotspotPopupEl.style.top = `${location.y}px`;
+    }
+
+    // Recompute waypoint and hotspot pixel positions after the scaled panorama size changed (zoom)
+    rescaleWaypoints() {
+        const pano = this.config.panoramas[this.currentPanoId];
+        if (!pano || !pano.scaledWidth) return;
+
+        const scaleRatio = pano.scaledWidth / pano.width;
+        this.currentWaypoints.concat(this.currentHotspots).forEach(({ data, source }) => {
+            data.fromPx = source.fromPx * scaleRatio;
+            data.toPx = source.toPx * scaleRatio;
+        });
+    }
+
+    // Markup of a named icon, this viewer's config.icons before the shared registry, null if unknown
+    getIcon(name) {
+        const icon = (this.config.icons && this.config.icons[name]) || StreetJS.icons[name];
+        if (!icon) return null;
+        return typeof icon === 'string' ? icon : icon.outerHTML;
+    }
+
+    // Kept for existing callers, same as getIcon()
+    getBuiltInIcon(iconName) {
+        return this.getIcon(iconName);
     }
 
     updateInfoPanel() {
-        if (!this.config.showInfoPanel || !this.infoPanelEl) return;
+        if (this.destroyed || !this.config.showInfoPanel || !this.infoPanelEl) return;
         const pano = this.config.panoramas[this.currentPanoId];
         if (!pano) {
             this.infoPanelEl.style.display = 'none';
@@ -1430,7 +4837,11 @@ class StreetJS {
         const dir = this.getGeneralDirection();
 
         // Description
-        const desc = pano.description ? `<div class="sjip-desc">${pano.description}</div>` : '';
+        const desc = pano.description ? `<div class="sjip-desc">${this.localize(pano.description)}</div>` : '';
+
+        // Current floor
+        const level = this.getPanoramaLevel(pano);
+        const levelHtml = level !== null ? `<div class="sjip-level">${this.getLevelName(level)}</div>` : '';
 
         // Waypoints menu
         let waypointsHtml = '';
@@ -1438,15 +4849,26 @@ class StreetJS {
             waypointsHtml = `<div class="sjip-waypoints">` +
                 pano.waypoints.map(wp => {
                     const target = this.config.panoramas[wp.to];
-                    const label = wp.label || (target ? target.name : wp.to);
-                    const icon = this.getBuiltInIcon(wp.icon || 'waypoint');
+                    const label = this.localize(wp.label || (target ? target.name : wp.to)) || wp.to;
+                    const icon = this.getMarkerIconHtml(wp.icon, 'waypoint');
                     return `<button class="sjip-waypoint-btn" data-to="${wp.to}">${icon}<span>${label}</span></button>`;
                 }).join('') +
                 `</div>`;
         }
 
+        // Looking around only changes the direction, rebuilding everything would take focus away from the menu
+        const title = `<div class="sjip-title">${this.localize(pano.name) || ''}</div>`;
+        const content = [this.currentPanoId, title, levelHtml, desc, waypointsHtml].join('');
+        const directionEl = this.infoPanelEl.querySelector('.sjip-direction');
+        if (directionEl && content === this.infoPanelContent) {
+            directionEl.textContent = dir;
+            return;
+        }
+        this.infoPanelContent = content;
+
         this.infoPanelEl.innerHTML = `
-            <div class="sjip-title">${pano.name || ''}</div>
+            ${title}
+            ${levelHtml}
             <div class="sjip-direction">${dir}</div>
             ${desc}
             ${waypointsHtml}
@@ -1485,15 +4907,21 @@ class StreetJS {
                 };
                 btn.onclick = (e) => {
                     if (wp) {
+                        this.emit('waypointclick', {
+                            panoId: this.currentPanoId,
+                            heading: this.getHeading(),
+                            waypoint: wp,
+                            source: 'menu'
+                        });
+                        // Zoom towards the waypoint as laid out in the scene, not its raw image pixels
+                        const wpObj = this.currentWaypoints.find(w => w.source === wp);
+                        const waypointData = wpObj ? wpObj.data : wp;
                         if (wp.direction !== undefined) {
                             const forcedAngle = (wp.direction / 100) * 360;
-                            this.loadPanorama(wp.to, forcedAngle, wp);
+                            this.loadPanorama(wp.to, forcedAngle, waypointData);
                         } else {
                             // Use current center angle
-                            const viewWidth = this.element.clientWidth;
-                            const centerPx = this.backgroundPositionX + viewWidth / 2;
-                            const angle = (centerPx / pano.scaledWidth) * 360;
-                            this.loadPanorama(wp.to, angle, wp);
+                            this.loadPanorama(wp.to, this.getViewAngle(), waypointData);
                         }
                     }
                 };
@@ -1509,37 +4937,397 @@ class StreetJS {
         const waypointCenterPx = (waypointData.fromPx + waypointData.toPx) / 2;
         const targetPosition = waypointCenterPx - (viewWidth / 2);
         const moveStep = targetPosition - this.backgroundPositionX;
-        this.animateRotation(moveStep);
+        const targetPositionY = this.getWaypointPositionY(waypointData) - this.element.clientHeight / 2;
+        this.animateRotation(moveStep, targetPositionY - this.backgroundPositionY);
+    }
+
+    // Vertical position of a waypoint inside the scaled image, from its height percentage
+    getWaypointPositionY(waypointData) {
+        const pano = this.config.panoramas[this.currentPanoId];
+        const height = waypointData.height !== undefined ? waypointData.height : 50;
+        const scaledHeight = pano && pano.scaledHeight ? pano.scaledHeight : this.element.clientHeight;
+        return (height / 100) * scaledHeight;
+    }
+
+    getNorthOffset(pano) {
+        return pano && pano.north !== undefined ? pano.north : this.config.globalNorth;
+    }
+
+    // Angle of the view center along the panorama image (0-360, 0 = left edge of the image)
+    getViewAngle() {
+        const pano = this.config.panoramas[this.currentPanoId];
+        if (!pano || !pano.scaledWidth) return 0;
+        const centerPx = this.backgroundPositionX + this.element.clientWidth / 2;
+        const angle = (centerPx / pano.scaledWidth) * 360;
+        return (angle % 360 + 360) % 360;
+    }
+
+    // Heading of the view center in degrees clockwise from north, same convention as rotateToNorth()
+    getHeading() {
+        const pano = this.config.panoramas[this.currentPanoId];
+        if (!pano || !pano.scaledWidth) return 0;
+        const heading = this.getViewAngle() - this.getNorthOffset(pano);
+        return (heading % 360 + 360) % 360;
+    }
+
+    getZoom() {
+        return this.zoom;
+    }
+
+    // Zoom keeping the point at (anchorX, anchorY) in viewer pixels in place, the view center by default
+    setZoom(zoom, options = {}) {
+        if (this.destroyed) return;
+        const viewWidth = this.element.clientWidth;
+        const viewHeight = this.element.clientHeight;
+        const { anchorX = viewWidth / 2, anchorY = viewHeight / 2 } = options;
+
+        const newZoom = Math.min(this.config.maxZoom, Math.max(this.config.minZoom, zoom));
+        if (newZoom === this.zoom) return;
+
+        if (this.isTransitioning || this.isZoomTransitioning) {
+            this.enqueueNavigation(() => this.setZoom(zoom, options));
+            return;
+        }
+
+        const pano = this.config.panoramas[this.currentPanoId];
+        if (!pano || !pano.scaledWidth || !this.imageAspect) {
+            // Nothing shown yet, the next panorama is sized with this zoom
+            this.zoom = newZoom;
+            return;
+        }
+
+        // Remember which part of the image is under the anchor
+        const anchorFractionX = (this.backgroundPositionX + anchorX) / pano.scaledWidth;
+        const anchorFractionY = (this.backgroundPositionY + anchorY) / pano.scaledHeight;
+
+        this.zoom = newZoom;
+        this.isAnimating = false;
+        this.updateGeometry(pano);
+        this.rescaleWaypoints();
+
+        this.backgroundPositionX = anchorFractionX * pano.scaledWidth - anchorX;
+        this.backgroundPositionY = anchorFractionY * pano.scaledHeight - anchorY;
+        this.updateRotation();
+        this.emit('zoom', { panoId: this.currentPanoId, zoom: this.zoom });
+    }
+
+    // Size the panorama for the new container size, keeping the heading and pitch in view
+    handleResize() {
+        if (this.destroyed) return;
+        const width = this.element.clientWidth;
+        const height = this.element.clientHeight;
+        // A hidden container (0 x 0) keeps the last real size to come back to
+        if (!width || !height || (width === this.viewSize.width && height === this.viewSize.height)) return;
+
+        if (this.isTransitioning || this.isZoomTransitioning) {
+            this.enqueueNavigation(() => this.handleResize());
+            return;
+        }
+        const previous = this.viewSize;
+        this.viewSize = { width, height };
+
+        const pano = this.config.panoramas[this.currentPanoId];
+        if (!pano || !pano.scaledWidth || !this.imageAspect) return;
+
+        // View center as it was laid out for the previous size, getViewAngle() would already use the new one
+        const angle = ((this.backgroundPositionX + previous.width / 2) / pano.scaledWidth) * 360;
+        const pitch = ((pano.scaledHeight / 2 - this.backgroundPositionY - previous.height / 2) / pano.scaledWidth) * 360;
+        this.isAnimating = false;
+        this.updateGeometry(pano);
+        this.rescaleWaypoints();
+
+        this.backgroundPositionX = (angle / 360) * pano.scaledWidth - width / 2;
+        this.backgroundPositionY = pano.scaledHeight / 2 - (pitch / 360) * pano.scaledWidth - height / 2;
+        this.updateRotation();
+        this.emit('resize', { panoId: this.currentPanoId, width, height });
+    }
+
+    zoomBy(factor, options) {
+        this.setZoom(this.zoom * factor, options);
+    }
+
+    // URL parameters are namespaced per viewer: <key>.pano, <key>.h (heading), <key>.p (pitch), <key>.z (zoom)
+    getUrlSyncKey() {
+        return this.config.urlSyncKey || this.elementId;
+    }
+
+    // The query or hash split on '&', parts that are not this viewer's (anchors, routes, other parameters)
+    // are written back exactly as they were
+    getUrlParts() {
+        const source = this.config.urlSync === 'query' ? window.location.search : window.location.hash;
+        return source.replace(/^[#?]/, '').split('&').filter(part => part !== '');
+    }
+
+    isOwnUrlPart(part) {
+        try {
+            const name = decodeURIComponent(part.split('=')[0].replace(/\+/g, ' '));
+            return name.startsWith(`${this.getUrlSyncKey()}.`);
+        } catch (e) {
+            return false; // malformed escapes are never ours
+        }
+    }
+
+    getUrlParams() {
+        return new URLSearchParams(this.getUrlParts().filter(part => this.isOwnUrlPart(part)).join('&'));
+    }
+
+    readUrlState() {
+        const params = this.getUrlParams();
+        const key = this.getUrlSyncKey();
+        const panoId = params.get(`${key}.pano`);
+        if (!panoId || !this.config.panoramas[panoId]) return null;
+
+        const state = { panoId, heading: 0 };
+        const readNumber = (name) => {
+            const value = parseFloat(params.get(`${key}.${name}`));
+            return isFinite(value) ? value : undefined;
+        };
+        const heading = readNumber('h');
+        if (heading !== undefined) state.heading = heading;
+        const pitch = readNumber('p');
+        if (pitch !== undefined) state.pitch = pitch;
+        const zoom = readNumber('z');
+        if (zoom !== undefined) state.zoom = zoom;
+        return state;
+    }
+
+    // Rotation fires many times per second, write the URL once things settle
+    scheduleUrlStateWrite() {
+        if (!this.config.urlSync || this.urlWriteTimer !== null) return;
+        this.urlWriteTimer = this.setTimer(() => {
+            this.urlWriteTimer = null;
+            this.writeUrlState();
+        }, 300);
+    }
+
+    writeUrlState() {
+        const pano = this.config.panoramas[this.currentPanoId];
+        if (!pano || !pano.scaledWidth) return;
+
+        const params = this.getUrlParams();
+        const key = this.getUrlSyncKey();
+        params.set(`${key}.pano`, this.currentPanoId);
+        params.set(`${key}.h`, this.getHeading().toFixed(1));
+        if (this.getMaxPositionY() > 0) {
+            params.set(`${key}.p`, this.getPitch().toFixed(1));
+        } else {
+            params.delete(`${key}.p`);
+        }
+        if (this.zoom !== 1) {
+            params.set(`${key}.z`, this.zoom.toFixed(2));
+        } else {
+            params.delete(`${key}.z`);
+        }
+
+        const others = this.getUrlParts().filter(part => !this.isOwnUrlPart(part));
+        const query = [...others, params.toString()].filter(part => part !== '').join('&');
+        const { pathname, search, hash } = window.location;
+        const url = this.config.urlSync === 'query'
+            ? `${pathname}${query ? `?${query}` : ''}${hash}`
+            : `${pathname}${search}${query ? `#${query}` : ''}`;
+        // replaceState does not fire hashchange/popstate, so this cannot loop back into applyUrlState()
+        if (url !== `${pathname}${search}${hash}`) {
+            window.history.replaceState(window.history.state, '', url);
+        }
+    }
+
+    applyUrlState() {
+        const state = this.readUrlState();
+        if (!state) return;
+
+        if (state.zoom !== undefined && Math.abs(state.zoom - this.zoom) > 0.01) {
+            this.setZoom(state.zoom);
+        }
+        const headingDiff = Math.abs(((state.heading - this.getHeading()) % 360 + 540) % 360 - 180);
+        if (state.panoId !== this.currentPanoId || headingDiff > 0.5 || state.pitch !== undefined) {
+            this.goTo(state.panoId, { heading: state.heading, pitch: state.pitch }).catch(() => {});
+        }
+    }
+
+    // Pitch of the view center in degrees, positive when looking up. Uses the same
+    // pixels-per-degree as the horizontal axis, so a 2:1 image spans -90..90.
+    getPitch() {
+        const pano = this.config.panoramas[this.currentPanoId];
+        if (!pano || !pano.scaledWidth || !pano.scaledHeight) return 0;
+        const centerPy = this.backgroundPositionY + this.element.clientHeight / 2;
+        return ((pano.scaledHeight / 2 - centerPy) / pano.scaledWidth) * 360;
+    }
+
+    setPitch(pitch, options = {}) {
+        if (this.destroyed) return;
+        const { animate = true } = options;
+
+        if (this.isTransitioning || this.isZoomTransitioning) {
+            this.enqueueNavigation(() => this.setPitch(pitch, options));
+            return;
+        }
+
+        const pano = this.config.panoramas[this.currentPanoId];
+        if (!pano || !pano.scaledWidth || !pano.scaledHeight) return;
+
+        const centerPy = pano.scaledHeight / 2 - (pitch / 360) * pano.scaledWidth;
+        const targetY = this.clampPositionY(centerPy - this.element.clientHeight / 2);
+
+        if (animate) {
+            this.animateRotation(0, targetY - this.backgroundPositionY);
+        } else {
+            this.isAnimating = false;
+            this.backgroundPositionY = targetY;
+            this.updateRotation();
+        }
+    }
+
+    // Tell screen readers where the view ended up once it settles
+    scheduleAnnouncement() {
+        if (!this.liveRegionEl) return;
+        this.clearTimer(this.announceTimer);
+        this.announceTimer = this.setTimer(() => {
+            this.announceTimer = null;
+            const pano = this.config.panoramas[this.currentPanoId];
+            if (!pano || !this.liveRegionEl) return;
+            const message = this.getText('nowAt', {
+                name: this.localize(pano.name) || this.currentPanoId,
+                direction: this.getGeneralDirection()
+            });
+            if (this.liveRegionEl.textContent !== message) {
+                this.liveRegionEl.textContent = message;
+            }
+        }, 600);
     }
 
     getGeneralDirection() {
         // Returns a string like "North", "East", etc. based on the center of the view
         const pano = this.config.panoramas[this.currentPanoId];
         if (!pano || !pano.scaledWidth) return '';
-        // Calculate current angle (0 = north) at the center of the view
-        const viewWidth = this.element.clientWidth;
-        const centerPx = (this.backgroundPositionX + viewWidth / 2) % pano.scaledWidth;
-        let angle = (centerPx / pano.scaledWidth) * 360;
-        const northOffset = pano.north !== undefined ? pano.north : this.config.globalNorth;
-        angle = (angle + northOffset) % 360;
-        if (angle < 0) angle += 360;
-        // 8 directions
-        const dirs = [
-            { name: {en:'North',ru:'Север'}, deg: 0 },
-            { name: {en:'North-East',ru:'Северо-восток'}, deg: 45 },
-            { name: {en:'East',ru:'Восток'}, deg: 90 },
-            { name: {en:'South-East',ru:'Юго-восток'}, deg: 135 },
-            { name: {en:'South',ru:'Юг'}, deg: 180 },
-            { name: {en:'South-West',ru:'Юго-запад'}, deg: 225 },
-            { name: {en:'West',ru:'Запад'}, deg: 270 },
-            { name: {en:'North-West',ru:'Северо-запад'}, deg: 315 }
-        ];
-        let idx = Math.round(angle / 45) % 8;
-        const lang = this.language === 'ru' ? 'ru' : 'en';
-        return dirs[idx].name[lang];
+        // 8 directions, clockwise from north, same heading as the compass and getHeading()
+        const dirs = this.getText('directions');
+        const idx = Math.round(this.getHeading() / 45) % 8;
+        return dirs[idx];
     }
 }
 
+// Built-in dictionaries, extend with StreetJS.addLocale() or config.translations
+StreetJS.locales = {
+    en: {
+        instructions: 'Rotate to see surroundings. Click waypoints to navigate.',
+        loading: 'Loading panorama...',
+        error: 'Error loading panorama',
+        noPanoramas: 'No panoramas defined',
+        north: 'N',
+        close: 'Close',
+        tourPrevious: 'Previous step',
+        tourNext: 'Next step',
+        tourPlay: 'Play tour',
+        tourPause: 'Pause tour',
+        tourClose: 'Close tour',
+        level: 'Floor {level}',
+        levels: 'Floors',
+        faceNorth: 'Face north',
+        turnLeft: 'Turn left',
+        turnRight: 'Turn right',
+        nowAt: 'Now at {name}, facing {direction}',
+        editTitle: 'Editing {name}',
+        editHint: 'Click the panorama to add a waypoint. Drag waypoints to move them and the ends of the bar below to resize.',
+        editNorth: 'This is north',
+        editUndo: 'Undo',
+        editExport: 'Export JSON',
+        editDone: 'Done',
+        editTo: 'Leads to',
+        editLabel: 'Label',
+        editIcon: 'Icon',
+        editDefaultIcon: 'Default',
+        editDirection: 'Arrival direction (% of the target image)',
+        editScale: 'Scale',
+        editDelete: 'Delete waypoint',
+        locationsLeft: {
+            one: '{count} location to the left',
+            other: '{count} locations to the left'
+        },
+        locationsRight: {
+            one: '{count} location to the right',
+            other: '{count} locations to the right'
+        },
+        directions: ['North', 'North-East', 'East', 'South-East', 'South', 'South-West', 'West', 'North-West']
+    },
+    ru: {
+        instructions: 'Вращайте для осмотра. Нажимайте на точки для перемещения камеры.',
+        loading: 'Загрузка панорамы...',
+        error: 'Ошибка загрузки панорамы',
+        noPanoramas: 'Панорамы не заданы',
+        north: 'С',
+        close: 'Закрыть',
+        tourPrevious: 'Предыдущий шаг',
+        tourNext: 'Следующий шаг',
+        tourPlay: 'Запустить тур',
+        tourPause: 'Приостановить тур',
+        tourClose: 'Закрыть тур',
+        level: 'Этаж {level}',
+        levels: 'Этажи',
+        faceNorth: 'Повернуться на север',
+        turnLeft: 'Повернуть налево',
+        turnRight: 'Повернуть направо',
+        nowAt: 'Вы здесь: {name}, направление: {direction}',
+        editTitle: 'Редактирование: {name}',
+        editHint: 'Нажмите на панораму, чтобы добавить точку. Перетаскивайте точки, чтобы сдвинуть их, и концы полосы под точкой, чтобы изменить ширину.',
+        editNorth: 'Здесь север',
+        editUndo: 'Отменить',
+        editExport: 'Экспорт JSON',
+        editDone: 'Готово',
+        editTo: 'Ведёт в',
+        editLabel: 'Подпись',
+        editIcon: 'Значок',
+        editDefaultIcon: 'По умолчанию',
+        editDirection: 'Направление после перехода (% ширины изображения)',
+        editScale: 'Масштаб',
+        editDelete: 'Удалить точку',
+        locationsLeft: {
+            one: '{count} место слева',
+            few: '{count} места слева',
+            many: '{count} мест слева',
+            other: '{count} места слева'
+        },
+        locationsRight: {
+            one: '{count} место справа',
+            few: '{count} места справа',
+            many: '{count} мест справа',
+            other: '{count} места справа'
+        },
+        directions: ['Север', 'Северо-восток', 'Восток', 'Юго-восток', 'Юг', 'Юго-запад', 'Запад', 'Северо-запад']
+    }
+};
+
+// Icons by name for waypoint and hotspot `icon` fields, the info panel menu and the edge indicators
+// (edgeLeft, edgeRight). Extend with StreetJS.registerIcon() or config.icons. Paths filled with
+// currentColor follow the theme.
+StreetJS.icons = {
+    waypoint: `<svg viewBox="0 0 24 24"><path d="M12 2C8.13 2 5 5.13 5 9c0 5.25 7 13 7 13s7-7.75 7-13c0-3.87-3.13-7-7-7zm0 9.5c-1.38 0-2.5-1.12-2.5-2.5s1.12-2.5 2.5-2.5 2.5 1.12 2.5 2.5-1.12 2.5-2.5 2.5z" fill="currentColor"/></svg>`,
+    door: `<svg viewBox="0 0 24 24"><path d="M19 19V5c0-1.1-.9-2-2-2H7c-1.1 0-2 .9-2 2v14H3v2h18v-2h-2zm-2 0H7V5h10v14zm-4-8h2v2h-2v-2z" fill="currentColor"/></svg>`,
+    stairsUp: `<svg viewBox="0 0 24 24"><path d="M11 20V7.825L5.4 13.425L4 12L12 4L20 12L18.6 13.425L13 7.825V20H11Z" fill="currentColor"/></svg>`,
+    stairsDown: `<svg viewBox="0 0 24 24"><path d="M11 4V16.175L5.4 10.575L4 12L12 20L20 12L18.6 10.575L13 16.175V4H11Z" fill="currentColor"/></svg>`,
+    info: `<svg viewBox="0 0 24 24"><path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm1 15h-2v-6h2v6zm0-8h-2V7h2v2z" fill="currentColor"/></svg>`,
+    point: `<svg viewBox="0 0 24 24"><path d="M12 15C12.8333 15 13.5417 14.7083 14.125 14.125C14.7083 13.5417 15 12.8333 15 12C15 11.1667 14.7083 10.4583 14.125 9.875C13.5417 9.29167 12.8333 9 12 9C11.1667 9 10.4583 9.29167 9.875 9.875C9.29167 10.4583 9 11.1667 9 12C9 12.8333 9.29167 13.5417 9.875 14.125C10.4583 14.7083 11.1667 15 12 15ZM12 22C10.6167 22 9.31667 21.7375 8.1 21.2125C6.88333 20.6875 5.825 19.975 4.925 19.075C4.025 18.175 3.3125 17.1167 2.7875 15.9C2.2625 14.6833 2 13.3833 2 12C2 10.6167 2.2625 9.31667 2.7875 8.1C3.3125 6.88333 4.025 5.825 4.925 4.925C5.825 4.025 6.88333 3.3125 8.1 2.7875C9.31667 2.2625 10.6167 2 12 2C13.3833 2 14.6833 2.2625 15.9 2.7875C17.1167 3.3125 18.175 4.025 19.075 4.925C19.975 5.825 20.6875 6.88333 21.2125 8.1C21.7375 9.31667 22 10.6167 22 12C22 13.3833 21.7375 14.6833 21.2125 15.9C20.6875 17.1167 19.975 18.175 19.075 19.075C18.175 19.975 17.1167 20.6875 15.9 21.2125C14.6833 21.7375 13.3833 22 12 22ZM12 20C14.2333 20 16.125 19.225 17.675 17.675C19.225 16.125 20 14.2333 20 12C20 9.76667 19.225 7.875 17.675 6.325C16.125 4.775 14.2333 4 12 4C9.76667 4 7.875 4.775 6.325 6.325C4.775 7.875 4 9.76667 4 12C4 14.2333 4.775 16.125 6.325 17.675C7.875 19.225 9.76667 20 12 20Z" fill="currentColor"/></svg>`,
+    arrowLeft: '<svg viewBox="0 0 24 24"><path d="M17.5873 19.9919V9.99194H8.41228L12.0123 13.5919L10.6123 15.0169L4.58728 8.99194L10.5873 2.99194L12.0123 4.41694L8.41228 7.99194H19.5873V19.9919H17.5873Z" fill="currentColor"/></svg>',
+    arrowRight: '<svg viewBox="0 0 24 24"><path d="M7.58728 19.9919V9.99194H16.7623L13.1623 13.5919L14.5623 15.0169L20.5873 8.99194L14.5873 2.99194L13.1623 4.41694L16.7623 7.99194H5.58728V19.9919H7.58728Z" fill="currentColor"/></svg>',
+    edgeLeft: '<svg viewBox="0 0 24 24"><path d="M15.5 5v14L6.5 12z" fill="currentColor"/></svg>',
+    edgeRight: '<svg viewBox="0 0 24 24"><path d="M8.5 5v14l9-7z" fill="currentColor"/></svg>'
+};
+
+// Tour manifest format read by StreetJS.fromManifest() and written by exportManifest():
+// { version, start: { panorama, heading, pitch, zoom }, globalNorth, panoramas, levels, minimap, tour, icons }
+StreetJS.manifestVersion = 2;
+
+// manifestMigrations[n] turns a version n manifest into version n + 1
+StreetJS.manifestMigrations = {
+    // Version 1 was a saved constructor configuration (startPanorama, startDirection as image angle)
+    1: (manifest) => {
+        const { startPanorama, startDirection, version, ...rest } = manifest;
+        const panoramas = rest.panoramas || {};
+        const start = panoramas[startPanorama] ? startPanorama : Object.keys(panoramas)[0];
+        const north = start && panoramas[start].north !== undefined ? panoramas[start].north : (rest.globalNorth || 0);
+        return { ...rest, version: 2, start: { panorama: start, heading: (startDirection || 0) - north } };
+    }
+};
+
 // Export as global or module
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = StreetJS;